@@ -8,6 +8,8 @@ import (
 	"net/http"
 	"os"
 	"os/signal"
+	"strconv"
+	"strings"
 	"syscall"
 	"time"
 
@@ -32,35 +34,98 @@ type Item struct {
 	UpdatedAt   time.Time          `json:"updatedAt" bson:"updatedAt"`
 }
 
-type KafkaMessage struct {
-	Event     string      `json:"event"`
-	Data      interface{} `json:"data"`
-	Timestamp string      `json:"timestamp"`
+// EventEnvelope is the versioned envelope node-api publishes on both
+// item-events and items_queue (schemas in node-api/schemas/events)
+type EventEnvelope struct {
+	ID            string          `json:"id"`
+	Type          string          `json:"type"`
+	Version       string          `json:"version"`
+	Source        string          `json:"source"`
+	OccurredAt    string          `json:"occurredAt"`
+	CorrelationID string          `json:"correlationId"`
+	Payload       json.RawMessage `json:"payload"`
 }
 
-type RabbitMessage struct {
-	Action    string      `json:"action"`
-	Item      interface{} `json:"item,omitempty"`
-	ItemID    string      `json:"itemId,omitempty"`
-	Timestamp string      `json:"timestamp"`
+// Major envelope version this service understands; minor versions only add
+// optional fields
+const supportedEventMajorVersion = "1"
+
+func isSupportedVersion(version string) bool {
+	return strings.SplitN(version, ".", 2)[0] == supportedEventMajorVersion
+}
+
+// Highest version of each item seen on item-events, so an event that arrives
+// after a newer one of the same item is skipped. Only the Kafka consumer
+// goroutine uses it; it is emptied once it holds maxTrackedItems items.
+const maxTrackedItems = 10000
+
+var itemVersions = map[string]int{}
+
+// Item ID and version of an item event payload; snapshots carry _id and
+// item_deleted carries id
+type itemVersionRef struct {
+	ID      string `json:"_id"`
+	AltID   string `json:"id"`
+	Version int    `json:"version"`
+}
+
+func isStaleItemEvent(event EventEnvelope) bool {
+	var ref itemVersionRef
+	if err := json.Unmarshal(event.Payload, &ref); err != nil || ref.Version == 0 {
+		return false
+	}
+	id := ref.ID
+	if id == "" {
+		id = ref.AltID
+	}
+	if id == "" {
+		return false
+	}
+
+	seen, ok := itemVersions[id]
+	if ok && ref.Version < seen {
+		return true
+	}
+	if !ok && len(itemVersions) >= maxTrackedItems {
+		itemVersions = map[string]int{}
+	}
+	if ref.Version > seen {
+		itemVersions[id] = ref.Version
+	}
+	return false
 }
 
 type NotificationMessage struct {
+	ID        string `json:"id"`
 	Message   string `json:"message"`
 	Recipient string `json:"recipient"`
+	Channel   string `json:"channel"`
 	Timestamp string `json:"timestamp"`
 }
 
 // Global variables
 var (
-	mongoClient    *mongo.Client
-	kafkaReader    *kafka.Reader
-	kafkaWriter    *kafka.Writer
-	rabbitConn     *amqp.Connection
-	rabbitChannel  *amqp.Channel
-	itemCollection *mongo.Collection
+	mongoClient      *mongo.Client
+	kafkaReader      *kafka.Reader
+	kafkaWriter      *kafka.Writer
+	deadLetterWriter *kafka.Writer
+	rabbitConn       *amqp.Connection
+	rabbitChannel    *amqp.Channel
+	itemCollection   *mongo.Collection
 )
 
+// Dead letters. Queues listed here hand messages this service cannot read
+// to deadLetterExchange, which routes them to "<queue>.dlq" by their queue
+// name; node-api stores what arrives there. The routing is a RabbitMQ policy
+// (see docker-compose.yml), not queue arguments, which the queues declared
+// before it would refuse.
+const deadLetterExchange = "dlx"
+
+var deadLetterQueues = map[string]bool{
+	"items_queue":         true,
+	"notifications_queue": true,
+}
+
 // Configuration
 type Config struct {
 	MongoURI    string
@@ -126,6 +191,13 @@ func connectKafka(broker string) error {
 		Balancer: &kafka.LeastBytes{},
 	}
 
+	// Kafka writer for item events this service cannot read
+	deadLetterWriter = &kafka.Writer{
+		Addr:     kafka.TCP(broker),
+		Topic:    "item-events-dlq",
+		Balancer: &kafka.LeastBytes{},
+	}
+
 	log.Println("Connected to Kafka successfully")
 	return nil
 }
@@ -158,12 +230,83 @@ func connectRabbitMQ(uri string) error {
 		}
 	}
 
+	// Declare the dead-letter exchange and queues
+	if err := ch.ExchangeDeclare(deadLetterExchange, "direct", true, false, false, false, nil); err != nil {
+		return fmt.Errorf("failed to declare exchange %s: %w", deadLetterExchange, err)
+	}
+	for queue := range deadLetterQueues {
+		dlq := queue + ".dlq"
+		if _, err := ch.QueueDeclare(dlq, true, false, false, false, nil); err != nil {
+			return fmt.Errorf("failed to declare queue %s: %w", dlq, err)
+		}
+		if err := ch.QueueBind(dlq, queue, deadLetterExchange, false, nil); err != nil {
+			return fmt.Errorf("failed to bind queue %s: %w", dlq, err)
+		}
+	}
+
 	rabbitConn = conn
 	rabbitChannel = ch
 	log.Println("Connected to RabbitMQ successfully")
 	return nil
 }
 
+// Hand a RabbitMQ message that cannot be processed to its dead-letter queue,
+// with the reason in the headers. If that fails the message is rejected,
+// which dead-letters it through the queue's policy without the reason.
+func deadLetterRabbit(queue string, msg amqp.Delivery, reason error) {
+	headers := amqp.Table{}
+	for name, value := range msg.Headers {
+		headers[name] = value
+	}
+	headers["x-handler"] = "go-service"
+	headers["x-error"] = reason.Error()
+	headers["x-failed-at"] = time.Now().UTC().Format(time.RFC3339)
+
+	err := rabbitChannel.Publish(
+		deadLetterExchange, // exchange
+		queue,              // routing key
+		false,              // mandatory
+		false,              // immediate
+		amqp.Publishing{
+			ContentType:  msg.ContentType,
+			DeliveryMode: amqp.Persistent,
+			MessageId:    msg.MessageId,
+			Type:         msg.Type,
+			Headers:      headers,
+			Body:         msg.Body,
+		},
+	)
+	if err != nil {
+		log.Printf("Error dead-lettering %s message: %v", queue, err)
+		msg.Nack(false, false)
+		return
+	}
+	msg.Ack(false)
+}
+
+// Hand an item-events message that cannot be processed to item-events-dlq,
+// with where it came from and why in the headers
+func deadLetterKafka(message kafka.Message, reason error) {
+	headers := append([]kafka.Header{}, message.Headers...)
+	headers = append(headers,
+		kafka.Header{Key: "x-original-topic", Value: []byte(message.Topic)},
+		kafka.Header{Key: "x-original-partition", Value: []byte(strconv.Itoa(message.Partition))},
+		kafka.Header{Key: "x-original-offset", Value: []byte(strconv.FormatInt(message.Offset, 10))},
+		kafka.Header{Key: "x-handler", Value: []byte("go-service")},
+		kafka.Header{Key: "x-error", Value: []byte(reason.Error())},
+		kafka.Header{Key: "x-failed-at", Value: []byte(time.Now().UTC().Format(time.RFC3339))},
+	)
+
+	err := deadLetterWriter.WriteMessages(context.Background(), kafka.Message{
+		Key:     message.Key,
+		Value:   message.Value,
+		Headers: headers,
+	})
+	if err != nil {
+		log.Printf("Error dead-lettering Kafka message %s/%d@%d: %v", message.Topic, message.Partition, message.Offset, err)
+	}
+}
+
 // Message consumers
 func startKafkaConsumer() {
 	go func() {
@@ -174,16 +317,28 @@ func startKafkaConsumer() {
 				continue
 			}
 
-			var kafkaMsg KafkaMessage
-			if err := json.Unmarshal(message.Value, &kafkaMsg); err != nil {
+			var event EventEnvelope
+			if err := json.Unmarshal(message.Value, &event); err != nil {
 				log.Printf("Error unmarshaling Kafka message: %v", err)
+				deadLetterKafka(message, fmt.Errorf("malformed event: %w", err))
+				continue
+			}
+
+			if !isSupportedVersion(event.Version) {
+				log.Printf("Dead-lettering Kafka message %s: unsupported version %q of %s", event.ID, event.Version, event.Type)
+				deadLetterKafka(message, fmt.Errorf("unsupported event version %q", event.Version))
+				continue
+			}
+
+			if isStaleItemEvent(event) {
+				log.Printf("Skipping out-of-order Kafka message %s: %s of an item already seen at a newer version", event.ID, event.Type)
 				continue
 			}
 
-			log.Printf("Received Kafka message: %s - %s", kafkaMsg.Event, kafkaMsg.Timestamp)
+			log.Printf("Received Kafka message: %s - %s", event.Type, event.OccurredAt)
 			
 			// Process the message based on event type
-			processKafkaMessage(kafkaMsg)
+			processKafkaMessage(event)
 		}
 	}()
 }
@@ -193,7 +348,7 @@ func startRabbitConsumer() {
 		msgs, err := rabbitChannel.Consume(
 			"items_queue", // queue
 			"go-service",  // consumer
-			true,          // auto-ack
+			false,         // auto-ack
 			false,         // exclusive
 			false,         // no-local
 			false,         // no-wait
@@ -205,16 +360,24 @@ func startRabbitConsumer() {
 		}
 
 		for msg := range msgs {
-			var rabbitMsg RabbitMessage
-			if err := json.Unmarshal(msg.Body, &rabbitMsg); err != nil {
+			var event EventEnvelope
+			if err := json.Unmarshal(msg.Body, &event); err != nil {
 				log.Printf("Error unmarshaling RabbitMQ message: %v", err)
+				deadLetterRabbit("items_queue", msg, fmt.Errorf("malformed event: %w", err))
 				continue
 			}
 
-			log.Printf("Received RabbitMQ message: %s - %s", rabbitMsg.Action, rabbitMsg.Timestamp)
+			if !isSupportedVersion(event.Version) {
+				log.Printf("Dead-lettering RabbitMQ message %s: unsupported version %q of %s", event.ID, event.Version, event.Type)
+				deadLetterRabbit("items_queue", msg, fmt.Errorf("unsupported event version %q", event.Version))
+				continue
+			}
+
+			log.Printf("Received RabbitMQ message: %s - %s", event.Type, event.OccurredAt)
 			
-			// Process the message based on action type
-			processRabbitMessage(rabbitMsg)
+			// Process the message based on event type
+			processRabbitMessage(event)
+			msg.Ack(false)
 		}
 	}()
 
@@ -223,7 +386,7 @@ func startRabbitConsumer() {
 		msgs, err := rabbitChannel.Consume(
 			"notifications_queue", // queue
 			"go-service-notify",   // consumer
-			true,                  // auto-ack
+			false,                 // auto-ack
 			false,                 // exclusive
 			false,                 // no-local
 			false,                 // no-wait
@@ -238,21 +401,24 @@ func startRabbitConsumer() {
 			var notifyMsg NotificationMessage
 			if err := json.Unmarshal(msg.Body, &notifyMsg); err != nil {
 				log.Printf("Error unmarshaling notification message: %v", err)
+				deadLetterRabbit("notifications_queue", msg, fmt.Errorf("malformed notification: %w", err))
 				continue
 			}
 
 			log.Printf("Received notification: %s for %s", notifyMsg.Message, notifyMsg.Recipient)
 			// Here you could send email, SMS, push notification etc.
 			processNotification(notifyMsg)
+			msg.Ack(false)
 		}
 	}()
 }
 
 // Message processors
-func processKafkaMessage(msg KafkaMessage) {
+func processKafkaMessage(event EventEnvelope) {
 	// Send response to Kafka
 	response := map[string]interface{}{
-		"original_event": msg.Event,
+		"event_id":       event.ID,
+		"original_event": event.Type,
 		"processed_by":   "go-service",
 		"timestamp":      time.Now().Format(time.RFC3339),
 		"status":         "processed",
@@ -264,13 +430,14 @@ func processKafkaMessage(msg KafkaMessage) {
 	})
 }
 
-func processRabbitMessage(msg RabbitMessage) {
+func processRabbitMessage(event EventEnvelope) {
 	// Send response to RabbitMQ
 	response := map[string]interface{}{
-		"original_action": msg.Action,
-		"processed_by":    "go-service",
-		"timestamp":       time.Now().Format(time.RFC3339),
-		"status":          "processed",
+		"event_id":       event.ID,
+		"original_event": event.Type,
+		"processed_by":   "go-service",
+		"timestamp":      time.Now().Format(time.RFC3339),
+		"status":         "processed",
 	}
 
 	responseBytes, _ := json.Marshal(response)
@@ -296,14 +463,34 @@ func processNotification(msg NotificationMessage) {
 	// - Push notification service (Firebase)
 	// - Slack, Discord webhooks
 	
-	// For now, just log it
+	// For now, just log it and report it sent unless it cannot be delivered
+	// at all. node-api tracks the notification by the ID it sent.
+	notificationID := msg.ID
+	if notificationID == "" {
+		notificationID = primitive.NewObjectID().Hex()
+	}
+
+	status := "sent"
+	reason := ""
+	switch {
+	case msg.Recipient == "":
+		status, reason = "failed", "missing recipient"
+	case msg.Channel != "" && msg.Channel != "email" && msg.Channel != "sms":
+		status, reason = "failed", fmt.Sprintf("unsupported channel %q", msg.Channel)
+	}
+
 	response := map[string]interface{}{
-		"notification_id": primitive.NewObjectID().Hex(),
+		"notification_id": notificationID,
 		"recipient":       msg.Recipient,
-		"status":          "sent",
+		"channel":         msg.Channel,
+		"status":          status,
 		"processed_by":    "go-service",
 		"timestamp":       time.Now().Format(time.RFC3339),
 	}
+	if reason != "" {
+		response["error"] = reason
+		log.Printf("Notification %s failed: %s", notificationID, reason)
+	}
 
 	responseBytes, _ := json.Marshal(response)
 	rabbitChannel.Publish(
@@ -526,6 +713,9 @@ func gracefulShutdown(server *http.Server) {
 	if kafkaWriter != nil {
 		kafkaWriter.Close()
 	}
+	if deadLetterWriter != nil {
+		deadLetterWriter.Close()
+	}
 	if rabbitChannel != nil {
 		rabbitChannel.Close()
 	}
@@ -0,0 +1,7 @@
+const { recordReceipt } = require('../services/deliveries');
+
+function register(eventConsumer) {
+  eventConsumer.on('event_processed', 'delivery-tracking', (event) => recordReceipt(event, 'kafka'));
+}
+
+module.exports = { register };
@@ -0,0 +1,42 @@
+const { resolveEventType } = require('../services/eventConsumer');
+const { validateEvent } = require('../services/eventEnvelope');
+const { createVersionTracker } = require('../services/itemVersions');
+
+// Item changes forwarded to the browsers following the live event stream
+const LIVE_EVENT_TYPES = ['item_created', 'item_updated', 'item_deleted', 'item_restored'];
+
+// Reads item-events with a consumer of its own and forwards item changes to
+// liveEvents. Every instance has to see every event for its own browsers, so
+// the consumer needs a group unique to the instance. A restarted instance
+// goes on from the group's offsets, and clients catch up on what it streams
+// through Last-Event-ID. Malformed and invalid messages are skipped; the
+// shared consumer dead-letters them.
+function createLiveUpdatesConsumer(consumer, liveEvents) {
+  const tracker = createVersionTracker();
+
+  function handleMessage({ message }) {
+    let event;
+    try {
+      event = JSON.parse(message.value.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (!LIVE_EVENT_TYPES.includes(resolveEventType(event)) || validateEvent(event).length > 0) {
+      return;
+    }
+    if (tracker.observe(event)) {
+      liveEvents.publish(event);
+    }
+  }
+
+  async function start() {
+    await consumer.connect();
+    await consumer.subscribe({ topic: 'item-events' });
+    await consumer.run({ eachMessage: async (context) => handleMessage(context) });
+  }
+
+  return { start };
+}
+
+module.exports = { createLiveUpdatesConsumer };
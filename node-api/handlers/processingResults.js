@@ -0,0 +1,30 @@
+// Running summary of the Go service's processing receipts, keyed by the
+// event type it processed
+const summary = {};
+
+async function handleProcessingResult(event) {
+  const key = event.original_event;
+  if (!summary[key]) {
+    summary[key] = { processed: 0, failed: 0, lastStatus: null, lastProcessedAt: null };
+  }
+
+  const entry = summary[key];
+  if (event.status === 'processed') {
+    entry.processed++;
+  } else {
+    entry.failed++;
+    console.warn(`${event.processed_by} reported ${event.status} for ${key}`);
+  }
+  entry.lastStatus = event.status;
+  entry.lastProcessedAt = event.timestamp;
+}
+
+function getProcessingSummary() {
+  return summary;
+}
+
+function register(eventConsumer) {
+  eventConsumer.on('event_processed', 'processing-results', handleProcessingResult);
+}
+
+module.exports = { register, getProcessingSummary };
@@ -0,0 +1,15 @@
+const { WEBHOOK_EVENTS } = require('../models/webhook');
+const { queueEventDeliveries } = require('../services/webhooks');
+
+// Item events queued for the subscribed webhooks; the dispatcher sends them
+function register(eventConsumer, dispatcher) {
+  WEBHOOK_EVENTS.forEach(type => {
+    eventConsumer.on(type, 'webhooks', async (event) => {
+      if (await queueEventDeliveries(event) > 0) {
+        dispatcher.trigger();
+      }
+    });
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,31 @@
+const { hasRole, verifyAccessToken } = require('../services/auth');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Require a valid access token and expose its user as req.user
+function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError());
+  }
+
+  try {
+    req.user = verifyAccessToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Require at least the given role; use after authenticate
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user, role)) {
+      return next(new ForbiddenError(`Requires ${role} role`, 'insufficient_role'));
+    }
+    next();
+  };
+}
+
+module.exports = { authenticate, requireRole };
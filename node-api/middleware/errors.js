@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const {
+  AppError,
+  ValidationError,
+  ConflictError,
+  NotFoundError
+} = require('../utils/errors');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// Map errors thrown by Mongoose, the MongoDB driver and body parsing onto the
+// API's error classes; anything unknown becomes a 500
+function toAppError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid ${error.path}`, [{
+      field: error.path,
+      message: `must be a valid ${error.kind}`
+    }], error.kind === 'ObjectId' ? 'invalid_id' : 'validation_failed');
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError('Validation failed', Object.values(error.errors).map(fieldError => ({
+      location: 'body',
+      field: fieldError.path,
+      message: fieldError.message
+    })));
+  }
+
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || {});
+    return new ConflictError(`Duplicate value for ${fields.join(', ') || 'a unique field'}`, 'duplicate_key');
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Malformed JSON body', [], 'malformed_json');
+  }
+
+  // Other body-parser errors (payload too large, bad charset) carry a 4xx status
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new AppError(error.message, { status: error.status, code: 'bad_request', title: 'Bad Request' });
+  }
+
+  return new AppError('Something went wrong');
+}
+
+// Express error handler sending RFC 7807 problem details
+function problemHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toAppError(err);
+  if (error.status >= 500) {
+    console.error(err.stack || err);
+  }
+
+  const problem = {
+    type: `/problems/${error.code}`,
+    title: error.title,
+    status: error.status,
+    detail: error.message,
+    instance: req.originalUrl,
+    code: error.code,
+    correlationId: req.correlationId
+  };
+  if (error.errors) {
+    problem.errors = error.errors;
+  }
+
+  res.status(error.status).type(PROBLEM_CONTENT_TYPE).send(JSON.stringify(problem));
+}
+
+// Unmatched routes
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError('Route'));
+}
+
+module.exports = { problemHandler, notFoundHandler, toAppError };
@@ -0,0 +1,107 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { REQUEST_SCHEMAS } = require('../schemas/requests');
+const { NOT_BLANK } = require('../schemas/requests/common');
+const { ValidationError } = require('../utils/errors');
+
+// Unknown fields are stripped, except from bodies whose schema declares
+// additionalProperties: false, which are refused with them; query strings and
+// route params arrive as strings and are coerced to the declared types
+const bodyAjv = new Ajv({ allErrors: true, removeAdditional: 'all' });
+const strictBodyAjv = new Ajv({ allErrors: true });
+const stringAjv = new Ajv({ allErrors: true, removeAdditional: 'all', coerceTypes: true });
+addFormats(bodyAjv);
+addFormats(strictBodyAjv);
+addFormats(stringAjv);
+
+function describeError(error) {
+  const { keyword, params } = error;
+  switch (keyword) {
+    case 'required':
+      return 'is required';
+    case 'type':
+      return `must be a ${params.type}`;
+    case 'minimum':
+      return `must be at least ${params.limit}`;
+    case 'maximum':
+      return `must be at most ${params.limit}`;
+    case 'minLength':
+      return params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters`;
+    case 'maxLength':
+      return `must be at most ${params.limit} characters`;
+    case 'pattern':
+      return params.pattern === NOT_BLANK ? 'must not be blank' : 'has an invalid format';
+    case 'format':
+      return `must be a valid ${params.format}`;
+    case 'enum':
+      return `must be one of ${params.allowedValues.join(', ')}`;
+    case 'minProperties':
+      return 'must contain at least one field';
+    case 'additionalProperties':
+      return 'is not a known field';
+    default:
+      return error.message;
+  }
+}
+
+// Ajv errors as { field, message } with dotted field paths
+function toFieldErrors(errors) {
+  return errors.map(error => {
+    const path = error.instancePath.slice(1).split('/').filter(Boolean);
+    if (error.keyword === 'required') {
+      path.push(error.params.missingProperty);
+    }
+    if (error.keyword === 'additionalProperties') {
+      path.push(error.params.additionalProperty);
+    }
+    return {
+      field: path.join('.') || null,
+      message: describeError(error)
+    };
+  });
+}
+
+// Compiled validator for a named request schema. Values parsed from text
+// (query strings, route params, CSV cells) need coerceTypes.
+function getValidator(name, { coerceTypes = false } = {}) {
+  const schema = REQUEST_SCHEMAS[name];
+  if (!schema) {
+    throw new Error(`Unknown request schema ${name}`);
+  }
+  let ajv = coerceTypes ? stringAjv : bodyAjv;
+  if (!coerceTypes && schema.additionalProperties === false) {
+    ajv = strictBodyAjv;
+  }
+  if (!ajv.getSchema(name)) {
+    ajv.addSchema(schema, name);
+  }
+  return ajv.getSchema(name);
+}
+
+// Validate request parts against named schemas, e.g.
+// validate({ params: 'id-params', body: 'item-update' })
+function validate(schemas) {
+  const validators = Object.entries(schemas).map(([location, name]) => ({
+    location,
+    check: getValidator(name, { coerceTypes: location !== 'body' })
+  }));
+
+  return (req, res, next) => {
+    const errors = [];
+    validators.forEach(({ location, check }) => {
+      if (location === 'body' && req.body === undefined) {
+        req.body = {};
+      }
+      if (!check(req[location])) {
+        toFieldErrors(check.errors).forEach(error => errors.push({ location, ...error }));
+      }
+    });
+
+    if (errors.length > 0) {
+      return next(new ValidationError('Validation failed', errors));
+    }
+    next();
+  };
+}
+
+module.exports = { validate, getValidator, toFieldErrors };
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const DEAD_LETTER_SOURCES = ['rabbitmq', 'kafka'];
+const DEAD_LETTER_STATUSES = ['pending', 'replayed'];
+
+// A message a consumer gave up on, copied from a RabbitMQ dead-letter queue
+// or a Kafka `<topic>-dlq` topic so it can be looked at, fixed and replayed
+// to where it came from. Purging deletes it.
+const deadLetterSchema = new mongoose.Schema({
+  source: { type: String, enum: DEAD_LETTER_SOURCES, required: true },
+  // Queue or topic the message was meant for, and where it was dead-lettered to
+  queue: { type: String, required: true },
+  deadLetterQueue: { type: String, required: true },
+  body: { type: String, default: '' },
+  contentType: String,
+  // Headers of the original message, without the dead-letter bookkeeping
+  headers: { type: mongoose.Schema.Types.Mixed, default: {} },
+  key: String,
+  reason: String,
+  error: String,
+  failedAt: Date,
+  deathCount: { type: Number, default: 1 },
+  // Position of the copy in the Kafka DLQ topic, so it is only stored once
+  dlqPartition: Number,
+  dlqOffset: String,
+  status: { type: String, enum: DEAD_LETTER_STATUSES, default: 'pending' },
+  editedAt: Date,
+  editedBy: String,
+  replayCount: { type: Number, default: 0 },
+  replayedAt: Date,
+  replayedBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+deadLetterSchema.index({ status: 1, createdAt: -1 });
+deadLetterSchema.index({ queue: 1, createdAt: -1 });
+deadLetterSchema.index(
+  { deadLetterQueue: 1, dlqPartition: 1, dlqOffset: 1 },
+  { unique: true, partialFilterExpression: { source: 'kafka' } }
+);
+
+const DeadLetter = mongoose.model('DeadLetter', deadLetterSchema);
+
+module.exports = { DeadLetter, DEAD_LETTER_SOURCES, DEAD_LETTER_STATUSES };
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A processing receipt for one published event, as reported by a consumer
+// over one transport
+const eventDeliverySchema = new mongoose.Schema({
+  eventId: { type: String, required: true },
+  itemId: String,
+  event: String,
+  transport: { type: String, enum: ['kafka', 'rabbitmq'], required: true },
+  processedBy: { type: String, required: true },
+  status: { type: String, required: true },
+  processedAt: Date,
+  receivedAt: { type: Date, default: Date.now }
+});
+
+// Redelivered receipts update the existing row instead of adding another
+eventDeliverySchema.index({ eventId: 1, transport: 1, processedBy: 1 }, { unique: true });
+eventDeliverySchema.index({ itemId: 1, receivedAt: -1 });
+
+const EventDelivery = mongoose.model('EventDelivery', eventDeliverySchema);
+
+module.exports = { EventDelivery };
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One create, update, revert, delete or restore of an item. revision is the item
+// version the change produced (deletes take the next number) and snapshot
+// the tracked fields after it, or before it for deletes.
+const itemRevisionSchema = new mongoose.Schema({
+  itemId: { type: String, required: true },
+  revision: { type: Number, required: true },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'reverted', 'deleted', 'restored'],
+    required: true
+  },
+  changes: [changeSchema],
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  revertedFrom: Number,
+  actor: {
+    id: String,
+    email: String
+  },
+  correlationId: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+itemRevisionSchema.index({ itemId: 1, revision: -1 }, { unique: true });
+
+const ItemRevision = mongoose.model('ItemRevision', itemRevisionSchema);
+
+module.exports = { ItemRevision };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_STATUSES = ['queued', 'sent', 'failed'];
+
+// Channels a recipient can be reached on, told apart by the recipient's form
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+// A message sent through the Go service. It is queued when handed to
+// notifications_queue and becomes sent or failed once the Go service's
+// receipt comes back on go_events_queue.
+const notificationSchema = new mongoose.Schema({
+  message: { type: String, required: true },
+  recipient: { type: String, required: true },
+  channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+  status: { type: String, enum: NOTIFICATION_STATUSES, default: 'queued' },
+  error: String,
+  processedBy: String,
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  sentAt: Date,
+  failedAt: Date
+});
+
+notificationSchema.index({ createdAt: -1 });
+notificationSchema.index({ status: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = { Notification, NOTIFICATION_STATUSES, NOTIFICATION_CHANNELS };
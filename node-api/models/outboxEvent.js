@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Destinations every outbox row is relayed to
+const DESTINATIONS = ['kafka', 'rabbitmq'];
+
+// Delivery of a row to one destination. Each destination is retried on its
+// own, so a broker that is down does not hold back the other.
+const deliverySchema = new mongoose.Schema({
+  deliveredAt: Date,
+  // Set when the destination ran out of attempts
+  failedAt: Date,
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  // Random token of the relay holding the lock
+  lockedBy: String,
+  lastError: String
+}, { _id: false });
+
+// Item events are written here in the same write as the item change and
+// relayed to the brokers by services/outbox.js. The row _id is the event ID.
+const outboxEventSchema = new mongoose.Schema({
+  event: { type: String, required: true },
+  version: { type: String, required: true },
+  correlationId: String,
+  aggregateId: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  // pending until every destination took the event or ran out of attempts;
+  // failed when one of them did
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  deliveries: {
+    kafka: { type: deliverySchema, default: () => ({}) },
+    rabbitmq: { type: deliverySchema, default: () => ({}) }
+  },
+  // Last error of any destination
+  lastError: String,
+  createdAt: { type: Date, default: Date.now },
+  deliveredAt: Date
+});
+
+outboxEventSchema.index({ status: 1, createdAt: 1 });
+// The oldest rows still to be sent to each destination
+DESTINATIONS.forEach((destination) => {
+  outboxEventSchema.index({
+    status: 1,
+    [`deliveries.${destination}.deliveredAt`]: 1,
+    [`deliveries.${destination}.failedAt`]: 1,
+    createdAt: 1,
+    _id: 1
+  });
+});
+// Delivered rows are only kept for a week
+outboxEventSchema.index({ deliveredAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const OutboxEvent = mongoose.model('OutboxEvent', outboxEventSchema);
+
+module.exports = { OutboxEvent, DESTINATIONS };
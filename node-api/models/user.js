@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Roles in increasing order of privilege; each includes the ones before it
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, trim: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: 'viewer' },
+  // Bumped on logout or password change to revoke outstanding refresh tokens
+  tokenVersion: { type: Number, default: 0 },
+  lastLoginAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    return ret;
+  }
+});
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = { User, ROLES };
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Item events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['item_created', 'item_updated', 'item_deleted', 'item_restored', 'item_purged'];
+
+// A partner endpoint that item events are POSTed to, signed with its secret.
+// An empty events list subscribes to every event.
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  events: { type: [{ type: String, enum: WEBHOOK_EVENTS }], default: [] },
+  secret: { type: String, required: true },
+  active: { type: Boolean, default: true },
+  // Failed attempts since the last successful one; too many disable the webhook
+  consecutiveFailures: { type: Number, default: 0 },
+  disabledAt: Date,
+  disabledReason: String,
+  lastSuccessAt: Date,
+  lastFailureAt: Date,
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+// The secret is only shown when it is created or rotated
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = { Webhook, WEBHOOK_EVENTS };
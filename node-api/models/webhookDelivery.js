@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One attempt to POST a delivery, kept for the delivery log
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  responseStatus: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// An event to send to one webhook, retried with backoff until the endpoint
+// answers 2xx or the attempts run out. body is the exact JSON that is signed
+// and sent, so redeliveries repeat it byte for byte.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  eventId: { type: String, required: true },
+  event: { type: String, required: true },
+  body: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  // Copies made by the redeliver action point at the delivery they repeat
+  redelivery: { type: Boolean, default: false },
+  redeliveryOf: mongoose.Schema.Types.ObjectId,
+  attempts: { type: [attemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: Date,
+  lastError: String,
+  responseStatus: Number,
+  responseBody: String,
+  createdAt: { type: Date, default: Date.now },
+  completedAt: Date
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+// An event is queued once per webhook even if Kafka hands it over again
+webhookDeliverySchema.index(
+  { webhookId: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { redelivery: false } }
+);
+// The log covers the last 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = { WebhookDelivery };
@@ -0,0 +1,65 @@
+const express = require('express');
+const { User } = require('../models/user');
+const { login, refresh, logout } = require('../services/auth');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Log in with email and password
+router.post('/login', validate({ body: 'auth-login' }), async (req, res, next) => {
+  try {
+    const { user, tokens } = await login(req.body.email, req.body.password);
+    res.json({
+      success: true,
+      data: { user, ...tokens }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Exchange a refresh token for new tokens
+router.post('/refresh', validate({ body: 'auth-refresh' }), async (req, res, next) => {
+  try {
+    const { user, tokens } = await refresh(req.body.refreshToken);
+    res.json({
+      success: true,
+      data: { user, ...tokens }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke the current user's refresh tokens
+router.post('/logout', authenticate, async (req, res, next) => {
+  try {
+    await logout(req.user.id);
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Current user
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const { DeadLetter } = require('../models/deadLetter');
+const { editDeadLetter, getDeadLetterSummary } = require('../services/deadLetters');
+const { parseListQuery, findPage } = require('../utils/listQuery');
+const { validate } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+
+// Messages dead-lettered on RabbitMQ and Kafka; mounted behind authenticate
+// and requireRole('admin'). Replaying one needs the brokers, so
+// POST /api/dead-letters/:id/replay lives in index.js.
+const router = express.Router();
+
+const filterOf = (query) => {
+  const filter = {};
+  if (query.source) filter.source = query.source;
+  if (query.queue) filter.queue = query.queue;
+  if (query.status) filter.status = query.status;
+  return filter;
+};
+
+// The list leaves out the message bodies, which can be large
+const deadLetterSummary = (deadLetter) => {
+  const { body, ...summary } = deadLetter.toJSON();
+  return summary;
+};
+
+// List dead letters, newest first
+router.get('/', validate({ query: 'dead-letter-list' }), async (req, res, next) => {
+  try {
+    const { sort, limit, cursor } = parseListQuery({ limit: req.query.limit, after: req.query.after });
+    const filter = filterOf(req.query);
+
+    const [page, total] = await Promise.all([
+      findPage(DeadLetter, { filter, sort, limit, cursor }),
+      DeadLetter.countDocuments(filter)
+    ]);
+    res.json({
+      success: true,
+      data: page.data.map(deadLetterSummary),
+      count: page.data.length,
+      total,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pending and replayed dead letters per queue
+router.get('/summary', async (req, res, next) => {
+  try {
+    const summary = await getDeadLetterSummary();
+    res.json({
+      success: true,
+      data: summary,
+      count: summary.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Purge every dead letter matching the filters
+router.delete('/', validate({ query: 'dead-letter-purge' }), async (req, res, next) => {
+  try {
+    const result = await DeadLetter.deleteMany(filterOf(req.query));
+    res.json({
+      success: true,
+      data: { deleted: result.deletedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get dead letter with its body and headers
+router.get('/:id', validate({ params: 'id-params' }), async (req, res, next) => {
+  try {
+    const deadLetter = await DeadLetter.findById(req.params.id);
+    if (!deadLetter) {
+      throw new NotFoundError('Dead letter');
+    }
+    res.json({
+      success: true,
+      data: deadLetter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fix the body of a pending dead letter before replaying it
+router.put('/:id', validate({ params: 'id-params', body: 'dead-letter-update' }), async (req, res, next) => {
+  try {
+    const deadLetter = await DeadLetter.findById(req.params.id);
+    if (!deadLetter) {
+      throw new NotFoundError('Dead letter');
+    }
+    res.json({
+      success: true,
+      data: await editDeadLetter(deadLetter, req.body.body, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Purge dead letter
+router.delete('/:id', validate({ params: 'id-params' }), async (req, res, next) => {
+  try {
+    const deadLetter = await DeadLetter.findByIdAndDelete(req.params.id);
+    if (!deadLetter) {
+      throw new NotFoundError('Dead letter');
+    }
+    res.json({
+      success: true,
+      message: 'Dead letter purged'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const { Notification } = require('../models/notification');
+const { parseListQuery, findPage } = require('../utils/listQuery');
+const { validate } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+
+// Sent notifications and their delivery status; mounted behind authenticate
+// and requireRole('admin'). New ones are sent with POST /api/notify.
+const router = express.Router();
+
+// List notifications, newest first
+router.get('/', validate({ query: 'notification-list' }), async (req, res, next) => {
+  try {
+    const { sort, limit, cursor } = parseListQuery({ limit: req.query.limit, after: req.query.after });
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.recipient) filter.recipient = req.query.recipient.trim().toLowerCase();
+
+    const [page, total] = await Promise.all([
+      findPage(Notification, { filter, sort, limit, cursor }),
+      Notification.countDocuments(filter)
+    ]);
+    res.json({
+      success: true,
+      data: page.data,
+      count: page.data.length,
+      total,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get notification
+router.get('/:id', validate({ params: 'id-params' }), async (req, res, next) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    if (!notification) {
+      throw new NotFoundError('Notification');
+    }
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
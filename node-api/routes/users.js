@@ -0,0 +1,91 @@
+const express = require('express');
+const { User } = require('../models/user');
+const { hashPassword, logout } = require('../services/auth');
+const { validate } = require('../middleware/validate');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// User administration; mounted behind authenticate and requireRole('admin')
+const router = express.Router();
+
+// List users
+router.get('/', async (req, res, next) => {
+  try {
+    const users = await User.find().sort({ createdAt: 1 });
+    res.json({
+      success: true,
+      data: users,
+      count: users.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create user
+router.post('/', validate({ body: 'user-create' }), async (req, res, next) => {
+  try {
+    const { email, name, password, role } = req.body;
+    const user = await User.create({
+      email,
+      name,
+      role,
+      passwordHash: await hashPassword(password)
+    });
+    res.status(201).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error.code === 11000 ? new ConflictError('Email already registered', 'email_taken') : error);
+  }
+});
+
+// Change a user's name, role or password
+router.put('/:id', validate({ params: 'id-params', body: 'user-update' }), async (req, res, next) => {
+  try {
+    const { name, role, password } = req.body;
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    if (role) changes.role = role;
+    if (password !== undefined) changes.passwordHash = await hashPassword(password);
+
+    const user = await User.findByIdAndUpdate(req.params.id, changes, { new: true, runValidators: true });
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    // Revoke refresh tokens so the change applies once the access token expires
+    if (role || password !== undefined) {
+      await logout(user._id);
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete user
+router.delete('/:id', validate({ params: 'id-params' }), async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      throw new ValidationError('You cannot delete your own account', [], 'cannot_delete_self');
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const { Webhook } = require('../models/webhook');
+const { WebhookDelivery } = require('../models/webhookDelivery');
+const { generateSecret, queuePing, redeliver } = require('../services/webhooks');
+const { parseListQuery, findPage } = require('../utils/listQuery');
+const { validate } = require('../middleware/validate');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Webhook subscriptions and their delivery log; mounted behind authenticate
+// and requireRole('admin'). Queued deliveries are picked up by the
+// dispatcher within its poll interval.
+const router = express.Router();
+
+async function findWebhook(id) {
+  const webhook = await Webhook.findById(id);
+  if (!webhook) {
+    throw new NotFoundError('Webhook');
+  }
+  return webhook;
+}
+
+async function findDelivery(webhookId, deliveryId) {
+  const delivery = await WebhookDelivery.findOne({ _id: deliveryId, webhookId });
+  if (!delivery) {
+    throw new NotFoundError('Webhook delivery');
+  }
+  return delivery;
+}
+
+// The delivery log leaves out the request bodies, which can be large
+const deliverySummary = (delivery) => {
+  const { body, ...summary } = delivery.toJSON();
+  return summary;
+};
+
+// List webhooks
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: 1 });
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create webhook; the answer is the only time its secret is shown
+router.post('/', validate({ body: 'webhook-create' }), async (req, res, next) => {
+  try {
+    const { url, description, events, active } = req.body;
+    const webhook = await Webhook.create({
+      url,
+      description,
+      events,
+      active,
+      secret: generateSecret(),
+      createdBy: req.user.id
+    });
+    res.status(201).json({
+      success: true,
+      data: { ...webhook.toJSON(), secret: webhook.secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get webhook
+router.get('/:id', validate({ params: 'id-params' }), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await findWebhook(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change a webhook's URL, description, events or state. Enabling it again
+// clears the failures that disabled it.
+router.put('/:id', validate({ params: 'id-params', body: 'webhook-update' }), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    const { url, description, events, active } = req.body;
+    if (url !== undefined) webhook.url = url;
+    if (description !== undefined) webhook.description = description;
+    if (events !== undefined) webhook.events = events;
+    if (active === true && !webhook.active) {
+      webhook.consecutiveFailures = 0;
+      webhook.disabledAt = undefined;
+      webhook.disabledReason = undefined;
+    }
+    if (active !== undefined) webhook.active = active;
+    webhook.updatedAt = new Date();
+    await webhook.save();
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete webhook and its delivery log
+router.delete('/:id', validate({ params: 'id-params' }), async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      throw new NotFoundError('Webhook');
+    }
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the signing secret; deliveries sent from now on use the new one
+router.post('/:id/rotate-secret', validate({ params: 'id-params' }), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    webhook.secret = generateSecret();
+    webhook.updatedAt = new Date();
+    await webhook.save();
+    res.json({
+      success: true,
+      data: { ...webhook.toJSON(), secret: webhook.secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a webhook_ping event to check the endpoint
+router.post('/:id/ping', validate({ params: 'id-params' }), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    if (!webhook.active) {
+      throw new ConflictError('Webhook is disabled', 'webhook_disabled');
+    }
+    const delivery = await queuePing(webhook);
+    res.status(202).json({
+      success: true,
+      data: deliverySummary(delivery)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delivery log, newest first
+router.get('/:id/deliveries', validate({ params: 'id-params', query: 'webhook-delivery-list' }), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    const { sort, limit, cursor } = parseListQuery({ limit: req.query.limit, after: req.query.after });
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const page = await findPage(WebhookDelivery, { filter, sort, limit, cursor });
+    res.json({
+      success: true,
+      data: page.data.map(deliverySummary),
+      count: page.data.length,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One delivery with the body that was sent and every attempt
+router.get('/:id/deliveries/:deliveryId', validate({ params: 'webhook-delivery-params' }), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await findDelivery(req.params.id, req.params.deliveryId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a delivery's event again as a new delivery
+router.post('/:id/deliveries/:deliveryId/redeliver', validate({ params: 'webhook-delivery-params' }), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    if (!webhook.active) {
+      throw new ConflictError('Webhook is disabled; enable it before redelivering', 'webhook_disabled');
+    }
+    const delivery = await redeliver(await findDelivery(webhook._id, req.params.deliveryId));
+    res.status(202).json({
+      success: true,
+      data: deliverySummary(delivery)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+// Checks whether messages written against a new JSON Schema can still be read
+// by consumers built against the old one. Every change reported here can make
+// a message that was valid for the new schema invalid for the old one, or, for
+// value bounds and enums, one written against the old schema invalid for
+// consumers built against the new one.
+
+// Bounds on values, lengths and sizes; any change to one is breaking
+const BOUND_KEYWORDS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength', 'minItems', 'maxItems'];
+
+const at = (path) => path || '/';
+
+const show = (value) => (value === undefined ? 'none' : value);
+
+const typesOf = (schema) => {
+  if (schema.type === undefined) return null;
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+};
+
+function compareSchemas(oldSchema, newSchema, path, problems) {
+  const oldTypes = typesOf(oldSchema);
+  const newTypes = typesOf(newSchema);
+  if (oldTypes) {
+    const added = newTypes ? newTypes.filter(type => !oldTypes.includes(type)) : ['any'];
+    // An integer is still a number
+    const widened = added.filter(type => !(type === 'integer' && oldTypes.includes('number')));
+    if (widened.length > 0) {
+      problems.push(`${at(path)}: type widened from ${oldTypes.join('|')} to ${(newTypes || ['any']).join('|')}`);
+    }
+  }
+
+  if (oldSchema.enum) {
+    const added = newSchema.enum ? newSchema.enum.filter(value => !oldSchema.enum.includes(value)) : ['any'];
+    if (added.length > 0) {
+      problems.push(`${at(path)}: enum values added (${added.join(', ')})`);
+    }
+  }
+  if (newSchema.enum && !oldSchema.enum) {
+    problems.push(`${at(path)}: enum added (${newSchema.enum.join(', ')})`);
+  } else if (newSchema.enum) {
+    const removed = oldSchema.enum.filter(value => !newSchema.enum.includes(value));
+    if (removed.length > 0) {
+      problems.push(`${at(path)}: enum values removed (${removed.join(', ')})`);
+    }
+  }
+
+  BOUND_KEYWORDS.forEach(keyword => {
+    if (oldSchema[keyword] !== newSchema[keyword]) {
+      problems.push(`${at(path)}: ${keyword} changed from ${show(oldSchema[keyword])} to ${show(newSchema[keyword])}`);
+    }
+  });
+
+  ['format', 'pattern'].forEach(keyword => {
+    if (oldSchema[keyword] !== undefined && oldSchema[keyword] !== newSchema[keyword]) {
+      problems.push(`${at(path)}: ${keyword} changed from ${oldSchema[keyword]} to ${show(newSchema[keyword])}`);
+    }
+  });
+
+  const oldRequired = oldSchema.required || [];
+  const newRequired = newSchema.required || [];
+  oldRequired
+    .filter(name => !newRequired.includes(name))
+    .forEach(name => problems.push(`${at(path)}: ${name} is no longer required`));
+
+  const oldProperties = oldSchema.properties || {};
+  const newProperties = newSchema.properties || {};
+  Object.keys(oldProperties).forEach(name => {
+    if (!newProperties[name]) {
+      problems.push(`${path}/${name}: property definition removed`);
+      return;
+    }
+    compareSchemas(oldProperties[name], newProperties[name], `${path}/${name}`, problems);
+  });
+
+  if (oldSchema.additionalProperties === false) {
+    Object.keys(newProperties)
+      .filter(name => !oldProperties[name])
+      .forEach(name => problems.push(`${path}/${name}: property added where additional properties are not allowed`));
+    if (newSchema.additionalProperties !== false) {
+      problems.push(`${at(path)}: additional properties are now allowed`);
+    }
+  }
+
+  if (oldSchema.items && newSchema.items) {
+    compareSchemas(oldSchema.items, newSchema.items, `${path}/items`, problems);
+  }
+
+  return problems;
+}
+
+// Returns the breaking changes from oldSchema to newSchema, empty when compatible
+function checkCompatibility(oldSchema, newSchema) {
+  return compareSchemas(oldSchema, newSchema, '', []);
+}
+
+module.exports = { checkCompatibility };
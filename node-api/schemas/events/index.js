@@ -0,0 +1,19 @@
+const envelope = require('./envelope.v1.json');
+const item = require('./item.v1.json');
+const itemDeleted = require('./item_deleted.v1.json');
+const itemPurged = require('./item_purged.v1.json');
+
+// Current payload schema and version of every event type on item-events and
+// items_queue. Minor versions may only make compatible changes; anything
+// else needs a new major version (see scripts/check-event-schemas.js).
+const EVENT_SCHEMAS = {
+  item_created: { version: '1.2', schema: item },
+  item_updated: { version: '1.2', schema: item },
+  item_deleted: { version: '1.2', schema: itemDeleted },
+  item_restored: { version: '1.0', schema: item },
+  item_purged: { version: '1.0', schema: itemPurged }
+};
+
+const ENVELOPE_SCHEMA = { version: '1.0', schema: envelope };
+
+module.exports = { EVENT_SCHEMAS, ENVELOPE_SCHEMA };
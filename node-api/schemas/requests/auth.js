@@ -0,0 +1,18 @@
+const login = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: {
+    email: { type: 'string', minLength: 1, maxLength: 320 },
+    password: { type: 'string', minLength: 1, maxLength: 200 }
+  }
+};
+
+const refresh = {
+  type: 'object',
+  required: ['refreshToken'],
+  properties: {
+    refreshToken: { type: 'string', minLength: 1 }
+  }
+};
+
+module.exports = { login, refresh };
@@ -0,0 +1,15 @@
+const objectId = { type: 'string', pattern: '^[a-fA-F0-9]{24}$' };
+
+// Pattern for strings that must contain something besides whitespace
+const NOT_BLANK = '\\S';
+
+// Route params of /:id routes
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: objectId
+  }
+};
+
+module.exports = { NOT_BLANK, objectId, idParams };
@@ -0,0 +1,36 @@
+const { DEAD_LETTER_SOURCES, DEAD_LETTER_STATUSES } = require('../../models/deadLetter');
+const { MAX_LIMIT } = require('../../utils/listQuery');
+
+const deadLetterFilters = {
+  source: { type: 'string', enum: DEAD_LETTER_SOURCES },
+  queue: { type: 'string', maxLength: 255 },
+  status: { type: 'string', enum: DEAD_LETTER_STATUSES }
+};
+
+// Query of GET /api/dead-letters
+const deadLetterList = {
+  type: 'object',
+  properties: {
+    ...deadLetterFilters,
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+    after: { type: 'string' }
+  }
+};
+
+// Body of PUT /api/dead-letters/:id; a JSON message must stay valid JSON,
+// which the route checks
+const deadLetterUpdate = {
+  type: 'object',
+  required: ['body'],
+  properties: {
+    body: { type: 'string', minLength: 1, maxLength: 100000 }
+  }
+};
+
+// Query of DELETE /api/dead-letters, which purges every match
+const deadLetterPurge = {
+  type: 'object',
+  properties: deadLetterFilters
+};
+
+module.exports = { deadLetterList, deadLetterUpdate, deadLetterPurge };
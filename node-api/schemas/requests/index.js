@@ -0,0 +1,48 @@
+const { idParams } = require('./common');
+const {
+  itemCreate,
+  itemUpdate,
+  itemPatch,
+  itemList,
+  itemTrashList,
+  itemImportQuery,
+  itemExportQuery,
+  itemSearchQuery,
+  itemRevertParams
+} = require('./items');
+const { login, refresh } = require('./auth');
+const { userCreate, userUpdate } = require('./users');
+const { notify, notificationList } = require('./notifications');
+const { statsQuery } = require('./stats');
+const { webhookCreate, webhookUpdate, webhookDeliveryList, webhookDeliveryParams } = require('./webhooks');
+const { deadLetterList, deadLetterUpdate, deadLetterPurge } = require('./deadLetters');
+
+// Request schemas by name, applied by the validate middleware
+const REQUEST_SCHEMAS = {
+  'id-params': idParams,
+  'item-create': itemCreate,
+  'item-update': itemUpdate,
+  'item-patch': itemPatch,
+  'item-list': itemList,
+  'item-trash-list': itemTrashList,
+  'item-import-query': itemImportQuery,
+  'item-export-query': itemExportQuery,
+  'item-search-query': itemSearchQuery,
+  'item-revert-params': itemRevertParams,
+  'auth-login': login,
+  'auth-refresh': refresh,
+  'user-create': userCreate,
+  'user-update': userUpdate,
+  'notify': notify,
+  'notification-list': notificationList,
+  'stats-query': statsQuery,
+  'webhook-create': webhookCreate,
+  'webhook-update': webhookUpdate,
+  'webhook-delivery-list': webhookDeliveryList,
+  'webhook-delivery-params': webhookDeliveryParams,
+  'dead-letter-list': deadLetterList,
+  'dead-letter-update': deadLetterUpdate,
+  'dead-letter-purge': deadLetterPurge
+};
+
+module.exports = { REQUEST_SCHEMAS };
@@ -0,0 +1,134 @@
+const { SORTABLE_FIELDS, MAX_LIMIT } = require('../../utils/listQuery');
+const { EXPORT_COLUMNS, EXPORT_FORMATS } = require('../../services/itemExport');
+const { NOT_BLANK, objectId } = require('./common');
+
+const itemFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200, pattern: NOT_BLANK },
+  description: { type: 'string', maxLength: 5000 },
+  price: { type: 'number', minimum: 0 },
+  category: { type: 'string', maxLength: 100 }
+};
+
+const itemCreate = {
+  type: 'object',
+  required: ['name'],
+  properties: itemFields
+};
+
+// Unknown fields are refused rather than dropped, so a body of only unknown
+// fields is not taken for an empty update
+const itemUpdate = {
+  type: 'object',
+  minProperties: 1,
+  properties: itemFields,
+  additionalProperties: false
+};
+
+// JSON Merge Patch of PATCH /api/items/:id; null clears an optional field
+const itemPatch = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    name: itemFields.name,
+    description: { ...itemFields.description, type: ['string', 'null'] },
+    price: { ...itemFields.price, type: ['number', 'null'] },
+    category: { ...itemFields.category, type: ['string', 'null'] }
+  },
+  additionalProperties: false
+};
+
+// Filters shared by the item list, search and export queries
+const itemFilterFields = {
+  category: { type: 'string', minLength: 1 },
+  minPrice: { type: 'number', minimum: 0 },
+  maxPrice: { type: 'number', minimum: 0 },
+  createdFrom: { type: 'string', minLength: 1 },
+  createdTo: { type: 'string', minLength: 1 }
+};
+
+// Text search: words, "quoted phrases" and -excluded words
+const searchText = { type: 'string', minLength: 1, maxLength: 200, pattern: NOT_BLANK };
+
+const itemQueryFields = {
+  sort: { type: 'string', pattern: `^-?(${SORTABLE_FIELDS.join('|')})$` },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  ...itemFilterFields
+};
+
+// Query of GET /api/items; values arrive as strings and are coerced.
+// facets=true adds the facet counts of the filtered items.
+const itemList = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+    after: { type: 'string', minLength: 1 },
+    facets: { type: 'boolean' },
+    ...itemQueryFields
+  }
+};
+
+// Query of GET /api/items/export; columns is a comma separated list
+const exportColumn = `(${EXPORT_COLUMNS.join('|')})`;
+const itemExportQuery = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) },
+    columns: { type: 'string', pattern: `^${exportColumn}(,${exportColumn})*$` },
+    excel: { type: 'boolean' },
+    q: searchText,
+    ...itemQueryFields
+  }
+};
+
+// Query of GET /api/items/trash
+const itemTrashList = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT }
+  }
+};
+
+// Query of POST /api/items/import
+const itemImportQuery = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: ['csv', 'json', 'ndjson'] },
+    dryRun: { type: 'boolean' },
+    report: { type: 'string', enum: ['json', 'csv'] }
+  }
+};
+
+// Query of GET /api/items/search; results are ranked, so there is no sort
+const itemSearchQuery = {
+  type: 'object',
+  required: ['q'],
+  properties: {
+    q: searchText,
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+    after: { type: 'string', minLength: 1 },
+    facets: { type: 'boolean' },
+    ...itemFilterFields
+  }
+};
+
+// Route params of POST /api/items/:id/revert/:revision
+const itemRevertParams = {
+  type: 'object',
+  required: ['id', 'revision'],
+  properties: {
+    id: objectId,
+    revision: { type: 'integer', minimum: 1 }
+  }
+};
+
+module.exports = {
+  itemCreate,
+  itemUpdate,
+  itemPatch,
+  itemList,
+  itemTrashList,
+  itemImportQuery,
+  itemExportQuery,
+  itemSearchQuery,
+  itemRevertParams
+};
@@ -0,0 +1,26 @@
+const { NOTIFICATION_STATUSES } = require('../../models/notification');
+const { MAX_LIMIT } = require('../../utils/listQuery');
+
+// The recipient's form (email address or phone number) is checked by
+// services/notifications.js, which also picks the channel from it
+const notify = {
+  type: 'object',
+  required: ['message', 'recipient'],
+  properties: {
+    message: { type: 'string', minLength: 1, maxLength: 1000 },
+    recipient: { type: 'string', minLength: 1, maxLength: 320 }
+  }
+};
+
+// Query of GET /api/notifications
+const notificationList = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: NOTIFICATION_STATUSES },
+    recipient: { type: 'string', maxLength: 320 },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+    after: { type: 'string' }
+  }
+};
+
+module.exports = { notify, notificationList };
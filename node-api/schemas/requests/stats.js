@@ -0,0 +1,13 @@
+// Query of GET /api/stats: the days the created-item series cover, either
+// from/to (UTC dates) or the last `days` days and `weeks` weeks
+const statsQuery = {
+  type: 'object',
+  properties: {
+    days: { type: 'integer', minimum: 1, maximum: 366 },
+    weeks: { type: 'integer', minimum: 1, maximum: 104 },
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' }
+  }
+};
+
+module.exports = { statsQuery };
@@ -0,0 +1,27 @@
+const { ROLES } = require('../../models/user');
+
+const userFields = {
+  email: { type: 'string', format: 'email', maxLength: 320 },
+  name: { type: 'string', maxLength: 200 },
+  password: { type: 'string', minLength: 8, maxLength: 200 },
+  role: { type: 'string', enum: ROLES }
+};
+
+const userCreate = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: userFields
+};
+
+// The email is the login and cannot be changed
+const userUpdate = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    name: userFields.name,
+    password: userFields.password,
+    role: userFields.role
+  }
+};
+
+module.exports = { userCreate, userUpdate };
@@ -0,0 +1,49 @@
+const { WEBHOOK_EVENTS } = require('../../models/webhook');
+const { MAX_LIMIT } = require('../../utils/listQuery');
+const { objectId } = require('./common');
+
+const webhookFields = {
+  url: { type: 'string', format: 'uri', pattern: '^https?://', maxLength: 2000 },
+  description: { type: 'string', maxLength: 500 },
+  // Empty subscribes to every item event
+  events: {
+    type: 'array',
+    uniqueItems: true,
+    items: { type: 'string', enum: WEBHOOK_EVENTS }
+  },
+  active: { type: 'boolean' }
+};
+
+const webhookCreate = {
+  type: 'object',
+  required: ['url'],
+  properties: webhookFields
+};
+
+const webhookUpdate = {
+  type: 'object',
+  minProperties: 1,
+  properties: webhookFields
+};
+
+// Query of GET /api/webhooks/:id/deliveries
+const webhookDeliveryList = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+    after: { type: 'string' }
+  }
+};
+
+// Route params of /api/webhooks/:id/deliveries/:deliveryId routes
+const webhookDeliveryParams = {
+  type: 'object',
+  required: ['id', 'deliveryId'],
+  properties: {
+    id: objectId,
+    deliveryId: objectId
+  }
+};
+
+module.exports = { webhookCreate, webhookUpdate, webhookDeliveryList, webhookDeliveryParams };
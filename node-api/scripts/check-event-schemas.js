@@ -0,0 +1,73 @@
+// Compares the event schemas in schemas/events with the published ones in
+// schemas/events/schemas.lock.json and fails on changes that would break
+// consumers of the same major version. Run with --update to publish the
+// current schemas once the check passes.
+const fs = require('fs');
+const path = require('path');
+const { EVENT_SCHEMAS, ENVELOPE_SCHEMA } = require('../schemas/events');
+const { checkCompatibility } = require('../schemas/compatibility');
+
+const LOCK_FILE = path.join(__dirname, '..', 'schemas', 'events', 'schemas.lock.json');
+const ENVELOPE_KEY = '$envelope';
+
+const parseVersion = (version) => version.split('.').map(Number);
+
+function checkEntry(name, current, published, errors, notes) {
+  if (!published) {
+    notes.push(`${name}: new at version ${current.version}`);
+    return;
+  }
+
+  const [major, minor] = parseVersion(current.version);
+  const [publishedMajor, publishedMinor] = parseVersion(published.version);
+
+  if (major < publishedMajor || (major === publishedMajor && minor < publishedMinor)) {
+    errors.push(`${name}: version ${current.version} is older than published ${published.version}`);
+    return;
+  }
+  if (major > publishedMajor) {
+    notes.push(`${name}: new major version ${current.version}, consumers of ${published.version} must be upgraded`);
+    return;
+  }
+
+  const changed = JSON.stringify(current.schema) !== JSON.stringify(published.schema);
+  if (changed && minor === publishedMinor) {
+    errors.push(`${name}: schema changed without a version bump (still ${current.version})`);
+  }
+
+  checkCompatibility(published.schema, current.schema).forEach(problem => {
+    errors.push(`${name}: breaking change in ${current.version}: ${problem}`);
+  });
+}
+
+function main() {
+  const update = process.argv.includes('--update');
+  const current = { [ENVELOPE_KEY]: ENVELOPE_SCHEMA, ...EVENT_SCHEMAS };
+  const lock = fs.existsSync(LOCK_FILE) ? JSON.parse(fs.readFileSync(LOCK_FILE, 'utf8')) : {};
+
+  const errors = [];
+  const notes = [];
+  Object.entries(current).forEach(([name, entry]) => checkEntry(name, entry, lock[name], errors, notes));
+  Object.keys(lock)
+    .filter(name => !current[name])
+    .forEach(name => notes.push(`${name}: no longer published`));
+
+  notes.forEach(note => console.log(note));
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(error));
+    process.exit(1);
+  }
+
+  if (update) {
+    const published = {};
+    Object.entries(current).forEach(([name, { version, schema }]) => {
+      published[name] = { version, schema };
+    });
+    fs.writeFileSync(LOCK_FILE, `${JSON.stringify(published, null, 2)}\n`);
+    console.log(`Published schemas written to ${path.relative(process.cwd(), LOCK_FILE)}`);
+  } else {
+    console.log('Event schemas are compatible with the published versions');
+  }
+}
+
+main();
@@ -0,0 +1,60 @@
+// A local endpoint for trying out webhooks: logs every delivery and whether
+// its signature verifies. Create a webhook pointing at it, then run it with
+// the secret from the create response:
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js --port 4000 --fail-rate 0.3
+//
+// --fail-rate answers that share of requests with 500 to exercise retries.
+const http = require('http');
+const { SIGNATURE_HEADER, verifySignature } = require('../utils/webhookSignature');
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+}
+
+const port = Number(option('port', 4000));
+const failRate = Number(option('fail-rate', 0));
+const secret = process.env.WEBHOOK_SECRET;
+
+if (!secret) {
+  console.warn('WEBHOOK_SECRET is not set, signatures will not be checked');
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+    const verified = secret ? verifySignature(secret, signature, body) : null;
+    const fail = Math.random() < failRate;
+
+    let event = {};
+    try {
+      event = JSON.parse(body);
+    } catch (error) {
+      // Logged as is below
+    }
+    console.log([
+      new Date().toISOString(),
+      req.headers['x-webhook-event'],
+      `delivery ${req.headers['x-webhook-delivery']}`,
+      `event ${event.id}`,
+      verified === null ? 'signature not checked' : verified ? 'signature ok' : 'SIGNATURE INVALID',
+      fail ? '-> 500' : '-> 200'
+    ].join('  '));
+
+    if (verified === false) {
+      res.writeHead(401).end('invalid signature');
+    } else if (fail) {
+      res.writeHead(500).end('simulated failure');
+    } else {
+      res.writeHead(200).end('ok');
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
@@ -0,0 +1,115 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { User, ROLES } = require('../models/user');
+const { UnauthorizedError } = require('../utils/errors');
+
+// No fallback secrets: tokens signed with a well-known one could be forged
+const ACCESS_TOKEN_SECRET = process.env.JWT_SECRET;
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET;
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+if (!ACCESS_TOKEN_SECRET || !REFRESH_TOKEN_SECRET) {
+  throw new Error('JWT_SECRET and JWT_REFRESH_SECRET must be set');
+}
+
+class AuthError extends UnauthorizedError {}
+
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function issueTokens(user) {
+  const accessToken = jwt.sign(
+    { sub: String(user._id), email: user.email, role: user.role, type: 'access' },
+    ACCESS_TOKEN_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const refreshToken = jwt.sign(
+    { sub: String(user._id), tv: user.tokenVersion, type: 'refresh' },
+    REFRESH_TOKEN_SECRET,
+    { expiresIn: REFRESH_TOKEN_TTL }
+  );
+  return { accessToken, refreshToken };
+}
+
+function verifyToken(token, secret, type) {
+  let claims;
+  try {
+    claims = jwt.verify(token, secret);
+  } catch (error) {
+    throw error.name === 'TokenExpiredError'
+      ? new AuthError('Token expired', 'token_expired')
+      : new AuthError('Invalid token', 'invalid_token');
+  }
+  if (claims.type !== type) {
+    throw new AuthError('Invalid token', 'invalid_token');
+  }
+  return claims;
+}
+
+function verifyAccessToken(token) {
+  const claims = verifyToken(token, ACCESS_TOKEN_SECRET, 'access');
+  return { id: claims.sub, email: claims.email, role: claims.role };
+}
+
+async function login(email, password) {
+  const user = await User.findOne({ email: String(email || '').toLowerCase().trim() });
+  if (!user || !(await bcrypt.compare(String(password || ''), user.passwordHash))) {
+    throw new AuthError('Invalid email or password', 'invalid_credentials');
+  }
+
+  user.lastLoginAt = new Date();
+  await user.save();
+  return { user, tokens: issueTokens(user) };
+}
+
+// Exchange a refresh token for a new pair; the old refresh token stays valid
+// until it expires or the user logs out
+async function refresh(refreshToken) {
+  const claims = verifyToken(refreshToken, REFRESH_TOKEN_SECRET, 'refresh');
+  const user = await User.findById(claims.sub);
+  if (!user || user.tokenVersion !== claims.tv) {
+    throw new AuthError('Refresh token revoked', 'token_revoked');
+  }
+  return { user, tokens: issueTokens(user) };
+}
+
+// Revoke every refresh token issued to the user
+async function logout(userId) {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+}
+
+// Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when there are no users
+async function ensureAdminUser() {
+  if (await User.exists({})) {
+    return;
+  }
+
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.warn('No users exist; set ADMIN_EMAIL and ADMIN_PASSWORD to create an admin');
+    return;
+  }
+
+  await User.create({
+    email: ADMIN_EMAIL,
+    name: 'Administrator',
+    passwordHash: await hashPassword(ADMIN_PASSWORD),
+    role: 'admin'
+  });
+  console.log(`Created admin user ${ADMIN_EMAIL}`);
+}
+
+module.exports = {
+  AuthError,
+  hashPassword,
+  hasRole,
+  verifyAccessToken,
+  login,
+  refresh,
+  logout,
+  ensureAdminUser
+};
@@ -0,0 +1,172 @@
+const { DeadLetter } = require('../models/deadLetter');
+const { ValidationError, ConflictError } = require('../utils/errors');
+
+// RabbitMQ queues whose rejected messages are routed through
+// DEAD_LETTER_EXCHANGE to `<queue>.dlq`. The routing is a RabbitMQ policy
+// (see docker-compose.yml), not queue arguments, so queues declared before it
+// keep working.
+const DEAD_LETTER_EXCHANGE = 'dlx';
+const DEAD_LETTER_QUEUES = ['items_queue', 'notifications_queue'];
+
+// Kafka topics the consumers dead-letter to, as `<topic>-dlq`
+const DEAD_LETTER_TOPICS = ['item-events-dlq', 'go-events-dlq'];
+
+// Headers describing the failure rather than the message; they are stored in
+// their own fields and not sent again on replay
+const BOOKKEEPING_HEADERS = [
+  'x-death',
+  'x-original-topic',
+  'x-original-partition',
+  'x-original-offset',
+  'x-original-queue',
+  'x-handler',
+  'x-error',
+  'x-failed-at',
+  'x-replayed-from',
+  'x-replay-count'
+];
+
+const deadLetterQueueOf = (queue) => `${queue}.dlq`;
+
+async function assertDeadLetterTopology(channel) {
+  await channel.assertExchange(DEAD_LETTER_EXCHANGE, 'direct', { durable: true });
+  for (const queue of DEAD_LETTER_QUEUES) {
+    await channel.assertQueue(deadLetterQueueOf(queue), { durable: true });
+    await channel.bindQueue(deadLetterQueueOf(queue), DEAD_LETTER_EXCHANGE, queue);
+  }
+}
+
+function splitHeaders(headers) {
+  const message = {};
+  const failure = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    const isBookkeeping = BOOKKEEPING_HEADERS.includes(name) || /^x-(first|last)-death-/.test(name);
+    (isBookkeeping ? failure : message)[name] = value;
+  });
+  return { message, failure };
+}
+
+const headerText = (value) => {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value.map(String).join(', ') : value.toString();
+};
+
+// amqplib reads AMQP timestamps as { '!': 'timestamp', value: seconds }
+const deathTime = (death) => (death.time ? new Date(death.time.value * 1000) : new Date());
+
+// Store a message taken off `<queue>.dlq`. The broker adds x-death when a
+// consumer rejects a message; the Go service publishes the ones it cannot
+// read itself, with x-handler and x-error saying why.
+function storeRabbitDeadLetter(queue, msg) {
+  const { message, failure } = splitHeaders(msg.properties.headers);
+  const [death = {}] = (failure['x-death'] || []).filter(entry => entry.queue === queue);
+
+  return DeadLetter.create({
+    source: 'rabbitmq',
+    queue,
+    deadLetterQueue: deadLetterQueueOf(queue),
+    body: msg.content.toString('utf8'),
+    contentType: msg.properties.contentType,
+    headers: message,
+    reason: headerText(failure['x-handler']) || death.reason || 'rejected',
+    error: headerText(failure['x-error']),
+    failedAt: failure['x-failed-at'] ? new Date(headerText(failure['x-failed-at'])) : deathTime(death),
+    deathCount: death.count || 1
+  });
+}
+
+// Store a message read from a `<topic>-dlq` topic; a message read twice is
+// stored once
+function storeKafkaDeadLetter(topic, partition, kafkaMessage) {
+  const headers = Object.fromEntries(
+    Object.entries(kafkaMessage.headers || {}).map(([name, value]) => [name, headerText(value)])
+  );
+  const { message, failure } = splitHeaders(headers);
+  const position = { deadLetterQueue: topic, dlqPartition: partition, dlqOffset: String(kafkaMessage.offset) };
+
+  return DeadLetter.updateOne(
+    { source: 'kafka', ...position },
+    {
+      $setOnInsert: {
+        queue: failure['x-original-topic'] || topic.replace(/-dlq$/, ''),
+        body: kafkaMessage.value ? kafkaMessage.value.toString('utf8') : '',
+        contentType: 'application/json',
+        headers: message,
+        key: kafkaMessage.key ? kafkaMessage.key.toString() : null,
+        reason: failure['x-handler'] || 'unknown',
+        error: failure['x-error'],
+        failedAt: failure['x-failed-at'] ? new Date(failure['x-failed-at']) : new Date(Number(kafkaMessage.timestamp))
+      }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+}
+
+// Replace the body of a pending dead letter before it is replayed. A JSON
+// message has to stay valid JSON.
+async function editDeadLetter(deadLetter, body, editedBy) {
+  if (deadLetter.status !== 'pending') {
+    throw new ConflictError('Dead letter was already replayed', 'dead_letter_replayed');
+  }
+  if (/json/.test(deadLetter.contentType || '')) {
+    try {
+      JSON.parse(body);
+    } catch (error) {
+      throw new ValidationError('Validation failed', [{
+        location: 'body',
+        field: 'body',
+        message: `must be valid JSON: ${error.message}`
+      }], 'invalid_dead_letter_body');
+    }
+  }
+
+  deadLetter.body = body;
+  deadLetter.editedAt = new Date();
+  deadLetter.editedBy = editedBy;
+  return deadLetter.save();
+}
+
+// Send a dead letter back to its queue or topic. publishers maps each source
+// to an async function(deadLetter, headers) that throws when sending fails.
+async function replayDeadLetter(deadLetter, publishers, replayedBy) {
+  await publishers[deadLetter.source](deadLetter, {
+    ...deadLetter.headers,
+    'x-replayed-from': String(deadLetter._id),
+    'x-replay-count': String(deadLetter.replayCount + 1)
+  });
+
+  return DeadLetter.findByIdAndUpdate(deadLetter._id, {
+    $set: { status: 'replayed', replayedAt: new Date(), replayedBy },
+    $inc: { replayCount: 1 }
+  }, { new: true });
+}
+
+// Dead letters per queue and status
+async function getDeadLetterSummary() {
+  const counts = await DeadLetter.aggregate([
+    { $group: { _id: { source: '$source', queue: '$queue', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const queues = new Map();
+  counts.forEach(({ _id, count }) => {
+    const key = `${_id.source}:${_id.queue}`;
+    if (!queues.has(key)) {
+      queues.set(key, { source: _id.source, queue: _id.queue, pending: 0, replayed: 0 });
+    }
+    queues.get(key)[_id.status] = count;
+  });
+  return [...queues.values()].sort((a, b) => b.pending - a.pending || a.queue.localeCompare(b.queue));
+}
+
+module.exports = {
+  DEAD_LETTER_EXCHANGE,
+  DEAD_LETTER_QUEUES,
+  DEAD_LETTER_TOPICS,
+  deadLetterQueueOf,
+  assertDeadLetterTopology,
+  storeRabbitDeadLetter,
+  storeKafkaDeadLetter,
+  editDeadLetter,
+  replayDeadLetter,
+  getDeadLetterSummary
+};
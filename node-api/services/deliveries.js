@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { EventDelivery } = require('../models/eventDelivery');
+const { OutboxEvent } = require('../models/outboxEvent');
+
+// Store a processing receipt. Receipts echo the event ID stamped by
+// publishItemEvent, which leads back to the outbox row and so to the item.
+async function recordReceipt(receipt, transport) {
+  const eventId = receipt.event_id;
+  if (!eventId || !mongoose.Types.ObjectId.isValid(eventId)) {
+    return null;
+  }
+
+  const source = await OutboxEvent.findById(eventId).select('event aggregateId');
+  const event = source
+    ? source.event
+    : receipt.original_event || (receipt.original_action && `item_${receipt.original_action}`);
+
+  return EventDelivery.findOneAndUpdate(
+    { eventId, transport, processedBy: receipt.processed_by },
+    {
+      $set: {
+        itemId: source ? source.aggregateId : receipt.item_id,
+        event,
+        status: receipt.status,
+        processedAt: receipt.timestamp ? new Date(receipt.timestamp) : new Date(),
+        receivedAt: new Date()
+      }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// Events published for an item, newest first, each with the receipts
+// collected for it. Receipts outlive the outbox rows they refer to.
+async function getItemDeliveries(itemId, limit = 50) {
+  const [events, receipts] = await Promise.all([
+    OutboxEvent.find({ aggregateId: itemId }).sort({ createdAt: -1 }).limit(limit),
+    EventDelivery.find({ itemId }).sort({ processedAt: 1 })
+  ]);
+
+  const timeline = new Map();
+  events.forEach(row => {
+    timeline.set(String(row._id), {
+      eventId: String(row._id),
+      event: row.event,
+      occurredAt: row.createdAt,
+      status: row.status,
+      published: {
+        kafka: row.deliveries.kafka.deliveredAt || null,
+        rabbitmq: row.deliveries.rabbitmq.deliveredAt || null
+      },
+      receipts: []
+    });
+  });
+
+  receipts.forEach(receipt => {
+    if (!timeline.has(receipt.eventId)) {
+      timeline.set(receipt.eventId, {
+        eventId: receipt.eventId,
+        event: receipt.event,
+        occurredAt: receipt.processedAt,
+        status: 'delivered',
+        published: null,
+        receipts: []
+      });
+    }
+    timeline.get(receipt.eventId).receipts.push({
+      transport: receipt.transport,
+      processedBy: receipt.processedBy,
+      status: receipt.status,
+      processedAt: receipt.processedAt
+    });
+  });
+
+  return [...timeline.values()]
+    .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt))
+    .slice(0, limit);
+}
+
+module.exports = { recordReceipt, getItemDeliveries };
@@ -0,0 +1,162 @@
+const { kafkaMessagesConsumed } = require('./metrics');
+
+const DEFAULT_OPTIONS = {
+  maxRetries: 3,
+  retryDelay: 500
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Envelopes carry their type in `type` and other events in `event`; the Go
+// service's processing receipts only have `original_event` and `processed_by`
+function resolveEventType(payload) {
+  if (payload.type && payload.payload) {
+    return payload.type;
+  }
+  if (payload.event) {
+    return payload.event;
+  }
+  if (payload.original_event && payload.processed_by) {
+    return 'event_processed';
+  }
+  return null;
+}
+
+// Dispatches Kafka messages to the handlers registered for their event type.
+// Each handler is retried on its own; when it keeps failing the message goes
+// to `<topic>-dlq` with the handler name and error in the headers. Messages on
+// a topic with a validator are dead-lettered when it reports errors, and
+// events on a topic with a version tracker are skipped when they are older
+// than one already handled for the same item.
+function createEventConsumer({ consumer, producer, topics, validators = {}, versionTrackers = {} }, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const handlers = new Map();
+  const stats = {
+    received: 0,
+    handled: 0,
+    unhandled: 0,
+    retries: 0,
+    invalid: 0,
+    outOfOrder: 0,
+    deadLettered: 0,
+    byType: {}
+  };
+
+  function on(type, name, handler) {
+    if (!handlers.has(type)) {
+      handlers.set(type, []);
+    }
+    handlers.get(type).push({ name, handler });
+  }
+
+  async function deadLetter(topic, partition, message, handlerName, error) {
+    try {
+      await producer.send({
+        topic: `${topic}-dlq`,
+        messages: [{
+          key: message.key,
+          value: message.value,
+          headers: {
+            ...message.headers,
+            'x-original-topic': topic,
+            'x-original-partition': String(partition),
+            'x-original-offset': String(message.offset),
+            'x-handler': handlerName,
+            'x-error': error.message,
+            'x-failed-at': new Date().toISOString()
+          }
+        }]
+      });
+      stats.deadLettered++;
+    } catch (dlqError) {
+      console.error(`Error dead-lettering message ${topic}/${partition}@${message.offset}:`, dlqError);
+    }
+  }
+
+  async function runHandler({ name, handler }, event, context) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await handler(event, context);
+        return;
+      } catch (error) {
+        if (attempt > config.maxRetries) {
+          console.error(`Handler ${name} failed for ${context.type} after ${attempt} attempts:`, error.message);
+          await deadLetter(context.topic, context.partition, context.message, name, error);
+          return;
+        }
+        stats.retries++;
+        await sleep(config.retryDelay * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  async function handleMessage({ topic, partition, message }) {
+    stats.received++;
+
+    let event;
+    try {
+      event = JSON.parse(message.value.toString());
+    } catch (error) {
+      kafkaMessagesConsumed.inc({ topic, outcome: 'malformed' });
+      await deadLetter(topic, partition, message, 'parser', error);
+      return;
+    }
+
+    const validate = validators[topic];
+    if (validate) {
+      const errors = validate(event);
+      if (errors.length > 0) {
+        stats.invalid++;
+        kafkaMessagesConsumed.inc({ topic, outcome: 'invalid' });
+        const details = errors.map(error => `${error.path} ${error.message}`).join('; ');
+        await deadLetter(topic, partition, message, 'validator', new Error(details));
+        return;
+      }
+    }
+
+    const tracker = versionTrackers[topic];
+    if (tracker && !tracker.observe(event)) {
+      stats.outOfOrder++;
+      kafkaMessagesConsumed.inc({ topic, outcome: 'out_of_order' });
+      console.warn(`Skipping out-of-order ${event.type} event ${event.id} at ${topic}/${partition}@${message.offset}`);
+      return;
+    }
+
+    const type = resolveEventType(event);
+    const registered = handlers.get(type) || [];
+    if (registered.length === 0) {
+      stats.unhandled++;
+      kafkaMessagesConsumed.inc({ topic, outcome: 'unhandled' });
+      return;
+    }
+
+    stats.byType[type] = (stats.byType[type] || 0) + 1;
+    const context = { type, topic, partition, message };
+    await Promise.all(registered.map(entry => runHandler(entry, event, context)));
+    stats.handled++;
+    kafkaMessagesConsumed.inc({ topic, outcome: 'handled' });
+  }
+
+  async function start() {
+    await consumer.connect();
+    for (const topic of topics) {
+      await consumer.subscribe({ topic });
+    }
+    await consumer.run({ eachMessage: handleMessage });
+  }
+
+  function getStats() {
+    return {
+      topics,
+      handlers: [...handlers.entries()].map(([type, entries]) => ({
+        type,
+        handlers: entries.map(entry => entry.name)
+      })),
+      ...stats
+    };
+  }
+
+  return { on, start, getStats };
+}
+
+module.exports = { createEventConsumer, resolveEventType };
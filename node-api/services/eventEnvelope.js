@@ -0,0 +1,105 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { EVENT_SCHEMAS, ENVELOPE_SCHEMA } = require('../schemas/events');
+
+const EVENT_SOURCE = 'node-api';
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+
+const validateEnvelopeShape = ajv.compile(ENVELOPE_SCHEMA.schema);
+
+// Several event types share a payload schema, so register each one once
+const payloadValidators = {};
+Object.entries(EVENT_SCHEMAS).forEach(([type, { schema }]) => {
+  if (!ajv.getSchema(schema.$id)) {
+    ajv.addSchema(schema);
+  }
+  payloadValidators[type] = ajv.getSchema(schema.$id);
+});
+
+class EventValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'EventValidationError';
+    this.errors = errors;
+  }
+}
+
+const majorVersion = (version) => parseInt(String(version).split('.')[0], 10);
+
+// Consumers accept any minor version of the major they were built against
+function isSupportedVersion(type, version) {
+  const current = EVENT_SCHEMAS[type];
+  return Boolean(current) && majorVersion(version) === majorVersion(current.version);
+}
+
+const formatErrors = (errors, prefix = '') => errors.map(error => ({
+  path: `${prefix}${error.instancePath}` || '/',
+  message: error.message
+}));
+
+// Returns the list of problems with an envelope, empty when it is valid
+function validateEvent(envelope) {
+  if (!validateEnvelopeShape(envelope)) {
+    return formatErrors(validateEnvelopeShape.errors);
+  }
+
+  const validatePayload = payloadValidators[envelope.type];
+  if (!validatePayload) {
+    return [{ path: '/type', message: `unknown event type ${envelope.type}` }];
+  }
+  if (!isSupportedVersion(envelope.type, envelope.version)) {
+    return [{
+      path: '/version',
+      message: `unsupported version ${envelope.version} of ${envelope.type}, expected ${EVENT_SCHEMAS[envelope.type].version}`
+    }];
+  }
+  if (!validatePayload(envelope.payload)) {
+    return formatErrors(validatePayload.errors, '/payload');
+  }
+
+  return [];
+}
+
+function assertValidEvent(envelope) {
+  const errors = validateEvent(envelope);
+  if (errors.length > 0) {
+    throw new EventValidationError(`Invalid ${envelope.type} event`, errors);
+  }
+}
+
+// The payload goes through JSON so what gets validated is exactly what is sent
+function createEnvelope({ id, type, payload, correlationId = null, occurredAt = new Date() }) {
+  return {
+    id: String(id),
+    type,
+    version: EVENT_SCHEMAS[type] ? EVENT_SCHEMAS[type].version : undefined,
+    source: EVENT_SOURCE,
+    occurredAt: occurredAt.toISOString(),
+    correlationId,
+    payload: JSON.parse(JSON.stringify(payload))
+  };
+}
+
+// Rebuild the envelope of an outbox row
+function toEnvelope(row) {
+  return {
+    id: String(row._id),
+    type: row.event,
+    version: row.version,
+    source: EVENT_SOURCE,
+    occurredAt: row.createdAt.toISOString(),
+    correlationId: row.correlationId || null,
+    payload: row.payload
+  };
+}
+
+module.exports = {
+  EventValidationError,
+  isSupportedVersion,
+  validateEvent,
+  assertValidEvent,
+  createEnvelope,
+  toEnvelope
+};
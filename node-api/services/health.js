@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_OPTIONS = {
+  // A check that has not answered by then counts as down
+  timeout: 3000
+};
+
+// Thrown by a check whose dependency is unusable; details still describe it
+function unhealthy(message, details = null) {
+  return Object.assign(new Error(message), { details });
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(unhealthy(`No answer within ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs the dependency checks behind GET /health/ready. checks maps each
+// dependency to { critical, check }, where check resolves to details about it
+// and throws when it is unusable. A failing critical check makes the service
+// unavailable, any other one degraded. Every result has the check's latency
+// and the last error it hit, which is kept after the dependency recovers.
+function createHealthChecks(checks, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const lastErrors = {};
+
+  async function run(name, { critical = true, check }) {
+    const started = Date.now();
+    try {
+      const details = await withTimeout(check(), config.timeout);
+      return {
+        status: 'up',
+        critical,
+        latencyMs: Date.now() - started,
+        lastError: lastErrors[name] || null,
+        details
+      };
+    } catch (error) {
+      lastErrors[name] = { message: error.message, at: new Date() };
+      return {
+        status: 'down',
+        critical,
+        latencyMs: Date.now() - started,
+        lastError: lastErrors[name],
+        details: error.details || null
+      };
+    }
+  }
+
+  async function check() {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(name => run(name, checks[name])));
+    const down = results.filter(result => result.status === 'down');
+
+    let status = 'ok';
+    if (down.some(result => result.critical)) {
+      status = 'unavailable';
+    } else if (down.length > 0) {
+      status = 'degraded';
+    }
+    return {
+      status,
+      checkedAt: new Date(),
+      checks: Object.fromEntries(names.map((name, index) => [name, results[index]]))
+    };
+  }
+
+  return { check };
+}
+
+// Pings MongoDB over the mongoose connection
+function mongoCheck(connection = mongoose.connection) {
+  return async () => {
+    const state = mongoose.STATES[connection.readyState];
+    if (state !== 'connected') {
+      throw unhealthy(`MongoDB is ${state}`, { state });
+    }
+    await connection.db.admin().ping();
+    return { state };
+  };
+}
+
+// Follows a kafkajs producer or consumer through its instrumentation events;
+// the returned function reads { state, since, lastError }. Consumers are
+// running once they joined their group.
+function trackKafkaClient(client) {
+  const { events } = client;
+  const status = { state: 'idle', since: new Date(), lastError: null };
+  const setState = (state) => () => {
+    status.state = state;
+    status.since = new Date();
+  };
+
+  client.on(events.CONNECT, setState('connected'));
+  client.on(events.DISCONNECT, setState('disconnected'));
+  if (events.GROUP_JOIN) {
+    client.on(events.GROUP_JOIN, setState('running'));
+    client.on(events.STOP, setState('stopped'));
+    client.on(events.CRASH, ({ payload }) => {
+      setState(payload.restart ? 'restarting' : 'crashed')();
+      status.lastError = { message: payload.error.message, at: status.since };
+    });
+  }
+
+  return () => ({ ...status });
+}
+
+// Messages of a topic the group has yet to commit, per partition and in
+// total. A partition the group never committed on counts from its first
+// message.
+async function consumerLag(admin, groupId, topic) {
+  const [latest, committed] = await Promise.all([
+    admin.fetchTopicOffsets(topic),
+    admin.fetchOffsets({ groupId, topic })
+  ]);
+
+  const partitions = latest.map(({ partition, high, low }) => {
+    const commit = committed.find(entry => entry.partition === partition);
+    const from = commit && Number(commit.offset) >= 0 ? Number(commit.offset) : Number(low);
+    return { partition, lag: Math.max(Number(high) - from, 0) };
+  });
+  return {
+    lag: partitions.reduce((sum, { lag }) => sum + lag, 0),
+    partitions
+  };
+}
+
+// Kafka is up when the producer is connected and every consumer is running.
+// consumers maps a name to { status, groupId, topics }, status being what
+// trackKafkaClient returned; lag is read through the admin client, which
+// keeps retrying in the background while Kafka is unreachable, so a read still
+// under way is shared rather than started again.
+function kafkaCheck({ admin, producer, consumers, timeout = 2000 }) {
+  let pending = null;
+
+  function readLags() {
+    if (!pending) {
+      pending = (async () => {
+        await admin.connect();
+        const lags = {};
+        for (const [name, { groupId, topics }] of Object.entries(consumers)) {
+          const results = await Promise.all(topics.map(topic => consumerLag(admin, groupId, topic)));
+          lags[name] = {
+            lag: results.reduce((sum, { lag }) => sum + lag, 0),
+            topics: Object.fromEntries(topics.map((topic, index) => [topic, results[index]]))
+          };
+        }
+        return lags;
+      })().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  }
+
+  return async () => {
+    const details = {
+      producer: producer(),
+      consumers: Object.fromEntries(Object.entries(consumers).map(([name, consumer]) => (
+        [name, { groupId: consumer.groupId, ...consumer.status(), lag: null, topics: null }]
+      )))
+    };
+
+    try {
+      const lags = await withTimeout(readLags(), timeout);
+      Object.entries(lags).forEach(([name, lag]) => Object.assign(details.consumers[name], lag));
+    } catch (error) {
+      throw unhealthy(`Kafka is unreachable: ${error.message}`, details);
+    }
+
+    if (details.producer.state !== 'connected') {
+      throw unhealthy(`Kafka producer is ${details.producer.state}`, details);
+    }
+    const stalled = Object.entries(details.consumers).find(([, consumer]) => consumer.state !== 'running');
+    if (stalled) {
+      throw unhealthy(`Kafka consumer ${stalled[0]} is ${stalled[1].state}`, details);
+    }
+    return details;
+  };
+}
+
+// RabbitMQ is up while its channel is open; queue depths are read on it.
+// The queues must be ones the connection declares, as checking a missing
+// queue closes the channel.
+function rabbitCheck(rabbit, queues) {
+  return async () => {
+    const { state, since, lastError, buffered, inFlight } = rabbit.getStats();
+    const details = { state, since, buffered, inFlight, queues: null };
+    const channel = rabbit.getChannel();
+    if (!channel) {
+      const reason = lastError ? `: ${lastError.message}` : '';
+      throw unhealthy(`RabbitMQ is ${state}${reason}`, details);
+    }
+
+    const depths = await Promise.all(queues.map(queue => channel.checkQueue(queue)));
+    details.queues = Object.fromEntries(depths.map(({ queue, messageCount, consumerCount }) => (
+      [queue, { messages: messageCount, consumers: consumerCount }]
+    )));
+    return details;
+  };
+}
+
+module.exports = {
+  createHealthChecks,
+  mongoCheck,
+  trackKafkaClient,
+  kafkaCheck,
+  rabbitCheck
+};
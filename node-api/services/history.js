@@ -0,0 +1,78 @@
+const { ItemRevision } = require('../models/itemRevision');
+
+// Item fields whose changes are recorded and can be reverted
+const TRACKED_FIELDS = ['name', 'description', 'price', 'category'];
+
+const valueOf = (doc, field) => (doc && doc[field] !== undefined ? doc[field] : null);
+
+function snapshotOf(doc) {
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = valueOf(doc, field);
+    return snapshot;
+  }, {});
+}
+
+// Field-level changes between two item states; either may be null
+function diffItems(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => valueOf(before, field) !== valueOf(after, field))
+    .map(field => ({ field, from: valueOf(before, field), to: valueOf(after, field) }));
+}
+
+function toRevision({ action, before = null, after = null, actor, correlationId, revertedFrom }) {
+  const item = after || before;
+  return {
+    itemId: String(item._id),
+    revision: after ? after.version : before.version + 1,
+    action,
+    changes: diffItems(before, after),
+    snapshot: snapshotOf(item),
+    revertedFrom,
+    actor: actor && { id: actor.id, email: actor.email },
+    correlationId
+  };
+}
+
+// Record a change of an item. before is null for creates and after is null
+// for deletes; pass the session of the item write so both commit together.
+async function recordRevision(change, session = null) {
+  const [revision] = await ItemRevision.create([toRevision(change)], { session });
+  return revision;
+}
+
+// Record many changes, e.g. the items of an import, with one insert
+function recordRevisions(changes, session = null) {
+  return ItemRevision.insertMany(changes.map(toRevision), { session });
+}
+
+// Revisions of an item, newest first
+function getItemHistory(itemId, limit = 100) {
+  return ItemRevision.find({ itemId: String(itemId) }).sort({ revision: -1 }).limit(limit);
+}
+
+function getRevision(itemId, revision) {
+  return ItemRevision.findOne({ itemId: String(itemId), revision });
+}
+
+// $set / $unset bringing an item back to the tracked fields of a snapshot
+function revertUpdate(snapshot) {
+  const update = { $set: {}, $unset: {} };
+  TRACKED_FIELDS.forEach(field => {
+    if (snapshot[field] === null || snapshot[field] === undefined) {
+      update.$unset[field] = 1;
+    } else {
+      update.$set[field] = snapshot[field];
+    }
+  });
+  return update;
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffItems,
+  recordRevision,
+  recordRevisions,
+  getItemHistory,
+  getRevision,
+  revertUpdate
+};
@@ -0,0 +1,116 @@
+const { Readable, Transform } = require('stream');
+const { csvLine } = require('../utils/csv');
+
+// Columns that can be exported, and those exported without ?columns=
+const EXPORT_COLUMNS = [
+  '_id', 'name', 'description', 'price', 'category',
+  'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'version'
+];
+const DEFAULT_COLUMNS = ['_id', 'name', 'description', 'price', 'category', 'createdAt', 'updatedAt'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Spreadsheets run text starting with these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// ?columns=name,price in the order given; the item-export-query schema only
+// lets known column names through
+function parseColumns(value) {
+  if (!value) {
+    return DEFAULT_COLUMNS;
+  }
+  return [...new Set(String(value).split(','))];
+}
+
+function pick(doc, columns) {
+  return Object.fromEntries(columns.map(column => [column, doc[column] === undefined ? null : doc[column]]));
+}
+
+function csvValue(value, excel) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (excel && typeof value === 'string' && FORMULA_START.test(value)) {
+    return `'${value}`;
+  }
+  return value;
+}
+
+// Output pieces of each format around the rows
+function formatWriter(format, columns, excel) {
+  if (format === 'csv') {
+    // Excel needs a BOM to read the file as UTF-8 and expects CRLF
+    const newline = excel ? '\r\n' : '\n';
+    return {
+      start: `${excel ? '\ufeff' : ''}${csvLine(columns)}${newline}`,
+      row: doc => `${csvLine(columns.map(column => csvValue(doc[column], excel)))}${newline}`,
+      end: ''
+    };
+  }
+  if (format === 'ndjson') {
+    return { start: '', row: doc => `${JSON.stringify(pick(doc, columns))}\n`, end: '' };
+  }
+  return {
+    start: '[',
+    row: (doc, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(pick(doc, columns))}`,
+    end: '\n]\n'
+  };
+}
+
+// Transform turning lean item documents, e.g. from a Mongo cursor, into the
+// text of an export. excel=true makes CSV open cleanly in spreadsheets.
+function createExportStream({ format = 'csv', columns = DEFAULT_COLUMNS, excel = false } = {}) {
+  const writer = formatWriter(format, columns, excel);
+  let index = 0;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(doc, encoding, callback) {
+      const chunk = writer.row(doc, index);
+      callback(null, index === 0 ? writer.start + chunk : chunk);
+      index += 1;
+    },
+    flush(callback) {
+      callback(null, index === 0 ? writer.start + writer.end : writer.end);
+    }
+  });
+}
+
+// Reads the first document of a Mongo cursor before anything has been sent,
+// so a query that fails can still be answered with an error. Resolves to a
+// stream of every document; the cursor is closed when the stream ends or is
+// destroyed.
+async function openCursor(cursor) {
+  let first;
+  try {
+    first = await cursor.next();
+  } catch (error) {
+    await cursor.close().catch(() => {});
+    throw error;
+  }
+
+  return Readable.from((async function* documents() {
+    try {
+      if (first === null) return;
+      yield first;
+      for (let doc = await cursor.next(); doc !== null; doc = await cursor.next()) {
+        yield doc;
+      }
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+  })());
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  EXPORT_FORMATS,
+  parseColumns,
+  createExportStream,
+  openCursor
+};
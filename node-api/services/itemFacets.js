@@ -0,0 +1,93 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Lower bounds of the price buckets; the last bucket has no upper bound
+const PRICE_BOUNDARIES = [0, 10, 25, 50, 100, 250, 500, 1000];
+
+// Created-date buckets: items created since the start (UTC) of the day that
+// many days back, counting today as the first
+const DATE_RANGES = [
+  { key: 'today', days: 1 },
+  { key: 'week', days: 7 },
+  { key: 'month', days: 30 },
+  { key: 'year', days: 365 }
+];
+
+const MAX_CATEGORIES = 50;
+
+function rangeStart(now, days) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return new Date(today - (days - 1) * DAY);
+}
+
+// The filter without the conditions on one field
+function without(filter, field) {
+  const { [field]: omitted, ...rest } = filter;
+  return rest;
+}
+
+// Facet counts for the items in base (live items, a text search) narrowed by
+// filter, the parsed list filters. Each facet leaves out its own filter so the
+// other options it offers keep the counts they would have if picked instead.
+async function getItemFacets(Model, { base, filter, now = new Date() }) {
+  const ranges = DATE_RANGES.map(range => ({ ...range, from: rangeStart(now, range.days) }));
+
+  const [result] = await Model.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        categories: [
+          { $match: { ...without(filter, 'category'), category: { $nin: [null, ''] } } },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_CATEGORIES }
+        ],
+        prices: [
+          { $match: { ...without(filter, 'price'), price: { $type: 'number', $gte: 0 } } },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BOUNDARIES,
+              default: 'above',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        created: [
+          { $match: without(filter, 'createdAt') },
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(ranges.map(({ key, from }) => [
+                key,
+                { $sum: { $cond: [{ $gte: ['$createdAt', from] }, 1, 0] } }
+              ]))
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const priceCounts = new Map(result.prices.map(bucket => [bucket._id, bucket.count]));
+  const [createdCounts = {}] = result.created;
+
+  return {
+    categories: result.categories.map(({ _id, count }) => ({ value: _id, count })),
+    // Every bucket, empty ones included, as min <= price < max
+    prices: PRICE_BOUNDARIES.map((min, index) => {
+      const last = index === PRICE_BOUNDARIES.length - 1;
+      return {
+        min,
+        max: last ? null : PRICE_BOUNDARIES[index + 1],
+        count: priceCounts.get(last ? 'above' : min) || 0
+      };
+    }),
+    created: ranges.map(({ key, from }) => ({ key, from, count: createdCounts[key] || 0 }))
+  };
+}
+
+module.exports = {
+  PRICE_BOUNDARIES,
+  DATE_RANGES,
+  getItemFacets
+};
@@ -0,0 +1,181 @@
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { parse: parseCsv } = require('csv-parse');
+const { parser: parseJson } = require('stream-json');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+const { getValidator, toFieldErrors } = require('../middleware/validate');
+const { toAppError } = require('../middleware/errors');
+const { ValidationError } = require('../utils/errors');
+const { csvLine } = require('../utils/csv');
+
+const DEFAULT_OPTIONS = {
+  batchSize: 100,
+  maxRows: 10000,
+  dryRun: false
+};
+
+// Content types accepted for each upload format
+const CONTENT_TYPES = {
+  csv: ['text/csv', 'application/csv'],
+  json: ['application/json'],
+  ndjson: ['application/x-ndjson', 'application/ndjson', 'application/jsonl']
+};
+
+// The upload format from ?format= or else the Content-Type; null if neither
+// names a supported format
+function detectFormat(req) {
+  if (req.query.format) {
+    return req.query.format;
+  }
+  return Object.keys(CONTENT_TYPES).find(format => req.is(CONTENT_TYPES[format])) || null;
+}
+
+// Spreadsheet cells left empty mean the field is absent
+function withoutBlanks(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== ''));
+}
+
+async function* csvRows(stream) {
+  const records = pipeline(stream, parseCsv({
+    bom: true,
+    columns: header => header.map(column => column.trim()),
+    relax_column_count: true,
+    skip_empty_lines: true,
+    trim: true
+  }), () => {});
+  for await (const record of records) {
+    yield { data: withoutBlanks(record) };
+  }
+}
+
+async function* jsonRows(stream) {
+  const entries = pipeline(stream, parseJson(), streamArray(), () => {});
+  for await (const { value } of entries) {
+    yield { data: value };
+  }
+}
+
+// One JSON document per line; a line that does not parse fails only its row
+async function* ndjsonRows(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      yield { data: JSON.parse(line) };
+    } catch (error) {
+      yield { error: `Invalid JSON: ${error.message}` };
+    }
+  }
+}
+
+const ROW_PARSERS = { csv: csvRows, json: jsonRows, ndjson: ndjsonRows };
+
+// Rows of an upload as { data } or { error } for rows that could not be read
+function parseImportRows(stream, format) {
+  return ROW_PARSERS[format](stream);
+}
+
+// Validate rows against the item-create schema and pass the valid ones to
+// insertBatch(rows), which returns the stored items, in batches of batchSize.
+// Returns the per-row report; with dryRun nothing is inserted.
+async function importItems(rows, { insertBatch, coerceTypes = false, ...options }) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const check = getValidator('item-create', { coerceTypes });
+  const report = {
+    dryRun: config.dryRun,
+    total: 0,
+    valid: 0,
+    created: 0,
+    invalid: 0,
+    failed: 0,
+    rows: []
+  };
+  let batch = [];
+
+  async function flush() {
+    const pending = batch;
+    batch = [];
+    if (pending.length === 0) {
+      return;
+    }
+
+    try {
+      const items = await insertBatch(pending.map(entry => entry.data));
+      items.forEach((item, index) => {
+        Object.assign(pending[index].result, { status: 'created', id: String(item._id) });
+      });
+      report.created += items.length;
+    } catch (error) {
+      const { message } = toAppError(error);
+      pending.forEach(entry => {
+        Object.assign(entry.result, { status: 'failed', errors: [{ field: null, message }] });
+      });
+      report.failed += pending.length;
+    }
+  }
+
+  try {
+    for await (const { data, error } of rows) {
+      if (report.total >= config.maxRows) {
+        report.aborted = `Imports are limited to ${config.maxRows} rows`;
+        break;
+      }
+
+      report.total++;
+      const result = { row: report.total };
+      report.rows.push(result);
+
+      let errors = [];
+      if (error) {
+        errors = [{ field: null, message: error }];
+      } else if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        errors = [{ field: null, message: 'must be an object' }];
+      } else if (!check(data)) {
+        errors = toFieldErrors(check.errors);
+      }
+
+      if (errors.length > 0) {
+        Object.assign(result, { status: 'invalid', errors });
+        report.invalid++;
+        continue;
+      }
+
+      report.valid++;
+      if (config.dryRun) {
+        result.status = 'valid';
+        continue;
+      }
+      batch.push({ data, result });
+      if (batch.length >= config.batchSize) {
+        await flush();
+      }
+    }
+  } catch (error) {
+    if (report.total === 0) {
+      throw new ValidationError(`Could not parse the upload: ${error.message}`, [], 'malformed_import');
+    }
+    report.aborted = `Could not parse the upload after row ${report.total}: ${error.message}`;
+  }
+
+  await flush();
+  return report;
+}
+
+// The per-row report as CSV for downloading
+function reportToCsv(report) {
+  const lines = [['row', 'status', 'id', 'errors']];
+  report.rows.forEach(({ row, status, id, errors = [] }) => {
+    const messages = errors.map(({ field, message }) => (field ? `${field} ${message}` : message));
+    lines.push([row, status, id, messages.join('; ')]);
+  });
+  return `${lines.map(csvLine).join('\n')}\n`;
+}
+
+module.exports = {
+  detectFormat,
+  parseImportRows,
+  importItems,
+  reportToCsv
+};
@@ -0,0 +1,164 @@
+const { QueryError } = require('../utils/listQuery');
+
+// Weights of the item text index: a match in the name counts most
+const SEARCH_WEIGHTS = { name: 10, category: 5, description: 1 };
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rough English stemming so "phones" highlights "phone" like the index matches it
+function stem(word) {
+  const suffix = ['ing', 'ed', 'es', 's'].find(end => word.endsWith(end) && word.length - end.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+// Split a search the way $text reads it: "quoted phrases", -excluded words
+// or phrases, and plain words
+function parseSearch(q) {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const tokens = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = tokens.exec(q)) !== null) {
+    const [, negate, phrase, word] = match;
+    if (phrase !== undefined) {
+      if (phrase.trim()) {
+        (negate ? parsed.excluded : parsed.phrases).push(phrase.trim());
+      }
+    } else if (word.startsWith('-')) {
+      if (word.length > 1) parsed.excluded.push(word.slice(1));
+    } else {
+      parsed.terms.push(word);
+    }
+  }
+
+  if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+    throw new QueryError('Invalid q: needs at least one word or phrase that is not excluded');
+  }
+  return parsed;
+}
+
+// One regex matching every searched phrase and word (and the word's other
+// forms); null when nothing searched can be highlighted
+function highlightPattern({ terms, phrases }) {
+  const word = '[\\p{L}\\p{N}]';
+  const alternatives = [
+    ...phrases.map(phrase => phrase.split(/\s+/).map(escapeRegex).join('\\s+')),
+    ...terms
+      .map(term => term.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+      .filter(Boolean)
+      .map(term => `${escapeRegex(stem(term))}${word}*`)
+  ];
+  if (alternatives.length === 0) return null;
+  return new RegExp(`(?<!${word})(?:${alternatives.join('|')})`, 'giu');
+}
+
+// Text as [{ text, match }] segments; null when nothing in it matches
+function segments(text, pattern) {
+  if (!text) return null;
+  const result = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) result.push({ text: text.slice(last, match.index), match: false });
+    result.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+  if (result.length === 0) return null;
+  if (last < text.length) result.push({ text: text.slice(last), match: false });
+  return result;
+}
+
+// The part of a long text around its first match, cut at word boundaries
+function snippet(text, pattern) {
+  if (!text) return null;
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  pattern.lastIndex = 0;
+  if (!first) return null;
+
+  let start = Math.max(0, first.index - SNIPPET_RADIUS);
+  let end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const spaceAfterStart = text.indexOf(' ', start);
+  if (start > 0 && spaceAfterStart !== -1 && spaceAfterStart < first.index) {
+    start = spaceAfterStart + 1;
+  }
+  const spaceBeforeEnd = text.lastIndexOf(' ', end);
+  if (end < text.length && spaceBeforeEnd > first.index + first[0].length) {
+    end = spaceBeforeEnd;
+  }
+
+  const cut = segments(text.slice(start, end), pattern);
+  if (start > 0) cut.unshift({ text: '…', match: false });
+  if (end < text.length) cut.push({ text: '…', match: false });
+  return cut;
+}
+
+// Highlighted name, category and description snippet of a result, for the
+// fields that contain a match
+function highlightItem(item, pattern) {
+  if (!pattern) return {};
+  const highlights = {
+    name: segments(item.name, pattern),
+    category: segments(item.category, pattern),
+    description: snippet(item.description, pattern)
+  };
+  return Object.fromEntries(Object.entries(highlights).filter(([, value]) => value));
+}
+
+// Results are ranked by score, so pages continue from an offset; the cursor
+// also carries the search so it cannot be reused for another one
+function encodeCursor(q, offset) {
+  return Buffer.from(JSON.stringify({ q, o: offset })).toString('base64url');
+}
+
+function decodeCursor(cursor, q) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new QueryError('Invalid cursor');
+  }
+  if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0) {
+    throw new QueryError('Invalid cursor');
+  }
+  if (decoded.q !== q) {
+    throw new QueryError('Cursor does not match the search');
+  }
+  return decoded.o;
+}
+
+// A page of items matching q, most relevant first, each with its text score
+// and highlights. filter narrows the search like the list filters.
+async function searchItems(Model, { q, filter = {}, limit, after }) {
+  const pattern = highlightPattern(parseSearch(q));
+  const offset = after ? decodeCursor(after, q) : 0;
+  const query = { ...filter, $text: { $search: q } };
+
+  const [docs, total] = await Promise.all([
+    Model.find(query, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .skip(offset)
+      .limit(limit + 1)
+      .lean(),
+    Model.countDocuments(query)
+  ]);
+
+  const hasMore = docs.length > limit;
+  const data = (hasMore ? docs.slice(0, limit) : docs)
+    .map(item => ({ ...item, highlights: highlightItem(item, pattern) }));
+
+  return {
+    data,
+    total,
+    nextCursor: hasMore ? encodeCursor(q, offset + limit) : null
+  };
+}
+
+module.exports = {
+  SEARCH_WEIGHTS,
+  parseSearch,
+  highlightPattern,
+  highlightItem,
+  searchItems
+};
@@ -0,0 +1,206 @@
+const { QueryError } = require('../utils/listQuery');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PERCENTILES = [25, 50, 75, 90, 99];
+
+// Roughly how many bars the price histogram has; bin widths are rounded to
+// 1, 2, 2.5 or 5 times a power of ten
+const HISTOGRAM_BINS = 10;
+
+// Longest series a from/to range may ask for
+const MAX_RANGE_DAYS = 366;
+
+const DEFAULT_OPTIONS = {
+  days: 30,
+  weeks: 12
+};
+
+const startOfUTCDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Monday of the date's week, in UTC like $dateTrunc
+function startOfUTCWeek(date) {
+  const day = startOfUTCDay(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY);
+}
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// `periods` consecutive periods of length step from start with their counts,
+// zero where nothing was created
+function series(start, periods, step, counts, key) {
+  return Array.from({ length: periods }, (value, index) => {
+    const period = new Date(start.getTime() + index * step);
+    return { [key]: dayKey(period), count: counts.get(dayKey(period)) || 0 };
+  });
+}
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Equal-width price bins from min to max as [{ min, max, count }]
+async function priceHistogram(Model, base, { min, max, count }) {
+  if (min === max) {
+    return [{ min, max, count }];
+  }
+
+  const rawWidth = (max - min) / HISTOGRAM_BINS;
+  const magnitude = 10 ** Math.floor(Math.log10(rawWidth));
+  const width = [1, 2, 2.5, 5, 10].find(step => step * magnitude >= rawWidth) * magnitude;
+  const boundaries = [round(Math.floor(min / width) * width)];
+  while (boundaries[boundaries.length - 1] <= max) {
+    boundaries.push(round(boundaries[boundaries.length - 1] + width));
+  }
+
+  const buckets = await Model.aggregate([
+    { $match: { ...base, price: { $type: 'number' } } },
+    { $bucket: { groupBy: '$price', boundaries, output: { count: { $sum: 1 } } } }
+  ]);
+  const counts = new Map(buckets.map(bucket => [bucket._id, bucket.count]));
+  return boundaries.slice(0, -1).map((lower, index) => ({
+    min: lower,
+    max: boundaries[index + 1],
+    count: counts.get(lower) || 0
+  }));
+}
+
+// The UTC days the created-item series cover: from/to when given, otherwise
+// the last `days` days and `weeks` weeks
+function seriesRange(now, { from, to, days, weeks }) {
+  const lastDay = startOfUTCDay(to ? new Date(to) : now);
+  const firstDay = from ? startOfUTCDay(new Date(from)) : new Date(lastDay.getTime() - (days - 1) * DAY);
+  if (firstDay > lastDay) {
+    throw new QueryError('Invalid from: must not be after to, or today without to');
+  }
+  if ((lastDay - firstDay) / DAY + 1 > MAX_RANGE_DAYS) {
+    throw new QueryError(`Invalid from: the range can span at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const lastWeek = startOfUTCWeek(lastDay);
+  const firstWeek = from ? startOfUTCWeek(firstDay) : new Date(lastWeek.getTime() - (weeks - 1) * 7 * DAY);
+  return {
+    firstDay,
+    days: (lastDay - firstDay) / DAY + 1,
+    firstWeek,
+    weeks: (lastWeek - firstWeek) / (7 * DAY) + 1,
+    end: new Date(lastDay.getTime() + DAY)
+  };
+}
+
+// Nearest-rank percentile of the sorted prices array, as an aggregation
+// expression
+const percentileOf = (percentile, prices) => ({
+  $arrayElemAt: [
+    prices,
+    { $subtract: [{ $max: [1, { $ceil: { $multiply: [percentile / 100, { $size: prices }] } }] }, 1] }
+  ]
+});
+
+// Totals, per-category counts and value, price distribution and histogram,
+// and items created per day and per week (from Monday) for the items matching
+// base. Days and weeks are UTC.
+async function getItemStats(Model, { base, now = new Date(), ...options }) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const range = seriesRange(now, config);
+
+  const [result] = await Model.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: null, count: { $sum: 1 }, totalValue: { $sum: '$price' } } }
+        ],
+        // The percentiles come from the same sorted prices the count is
+        // taken from
+        prices: [
+          { $match: { price: { $type: 'number' } } },
+          { $sort: { price: 1 } },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              min: { $min: '$price' },
+              max: { $max: '$price' },
+              average: { $avg: '$price' },
+              sorted: { $push: '$price' }
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              count: 1,
+              min: 1,
+              max: 1,
+              average: 1,
+              percentiles: Object.fromEntries(PERCENTILES.map(percentile => (
+                [`p${percentile}`, percentileOf(percentile, '$sorted')]
+              )))
+            }
+          }
+        ],
+        categories: [
+          {
+            $group: {
+              // Missing and empty categories count as one, null
+              _id: { $cond: [{ $gt: ['$category', ''] }, '$category', null] },
+              count: { $sum: 1 },
+              totalValue: { $sum: '$price' },
+              averagePrice: { $avg: '$price' }
+            }
+          },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        perDay: [
+          { $match: { createdAt: { $gte: range.firstDay, $lt: range.end } } },
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } }
+        ],
+        perWeek: [
+          { $match: { createdAt: { $gte: range.firstWeek, $lt: range.end } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: { $dateTrunc: { date: '$createdAt', unit: 'week', startOfWeek: 'monday' } } } },
+              count: { $sum: 1 }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const [totals = { count: 0, totalValue: 0 }] = result.totals;
+  const [prices = {
+    count: 0,
+    min: null,
+    max: null,
+    average: null,
+    percentiles: Object.fromEntries(PERCENTILES.map(percentile => [`p${percentile}`, null]))
+  }] = result.prices;
+  const countsOf = (groups) => new Map(groups.map(({ _id, count }) => [_id, count]));
+  const histogram = prices.count > 0 ? await priceHistogram(Model, base, prices) : [];
+
+  return {
+    totalItems: totals.count,
+    totalValue: totals.totalValue,
+    categories: result.categories.map(({ _id, count, totalValue, averagePrice }) => ({
+      category: _id,
+      count,
+      totalValue,
+      averagePrice
+    })),
+    prices: {
+      count: prices.count,
+      min: prices.min,
+      max: prices.max,
+      average: prices.average,
+      percentiles: prices.percentiles,
+      histogram
+    },
+    perDay: series(range.firstDay, range.days, DAY, countsOf(result.perDay), 'date'),
+    perWeek: series(range.firstWeek, range.weeks, 7 * DAY, countsOf(result.perWeek), 'week'),
+    generatedAt: now
+  };
+}
+
+module.exports = {
+  PERCENTILES,
+  getItemStats
+};
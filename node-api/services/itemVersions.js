@@ -0,0 +1,49 @@
+const DEFAULT_OPTIONS = {
+  // Items whose latest version is remembered; the least recently seen are
+  // forgotten first
+  maxItems: 10000
+};
+
+// Item ID and version an item event carries. Snapshots have _id, item_deleted
+// has id; events from before versions were published have none.
+function itemVersionOf(envelope) {
+  const payload = envelope.payload || {};
+  const itemId = payload._id || payload.id;
+  if (!itemId || !Number.isInteger(payload.version)) {
+    return null;
+  }
+  return { itemId: String(itemId), version: payload.version };
+}
+
+// Remembers the highest version seen of each item so a consumer can discard
+// events that arrive after a newer one of the same item. The same version
+// again, a redelivery or a replay, is let through.
+function createVersionTracker(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const latest = new Map();
+
+  // false when the event is older than one already seen for its item
+  function observe(envelope) {
+    const current = itemVersionOf(envelope);
+    if (!current) {
+      return true;
+    }
+
+    const seen = latest.get(current.itemId);
+    if (seen !== undefined && current.version < seen) {
+      return false;
+    }
+
+    // Re-inserting keeps the Map in least recently seen order
+    latest.delete(current.itemId);
+    latest.set(current.itemId, Math.max(current.version, seen || 0));
+    if (latest.size > config.maxItems) {
+      latest.delete(latest.keys().next().value);
+    }
+    return true;
+  }
+
+  return { observe };
+}
+
+module.exports = { itemVersionOf, createVersionTracker };
@@ -0,0 +1,100 @@
+const { EventEmitter } = require('events');
+
+const DEFAULT_OPTIONS = {
+  baseDelay: 1000,
+  maxDelay: 30000
+};
+
+// Starts a Kafka producer or consumer in the background and keeps trying,
+// with exponential backoff, until it is up. kafkajs gives up on a first
+// connection after a few retries of its own, and Kafka may well still be
+// starting when node-api is. Once started kafkajs reconnects by itself;
+// restart() starts over, for a consumer that crashed for good.
+//
+// connect() is called again after every failure, with disconnect() in
+// between, so it has to be safe to repeat. State changes are emitted as
+// 'state' events with { state, previous, error }: idle, starting, started,
+// waiting (to try again), stopped.
+function createKafkaStarter(name, { connect, disconnect }, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const events = new EventEmitter();
+  let state = 'idle';
+  let since = new Date();
+  let lastError = null;
+  // Failed attempts since the last success
+  let attempts = 0;
+  let timer = null;
+
+  const backoff = (attempt) => Math.min(config.baseDelay * 2 ** (attempt - 1), config.maxDelay);
+
+  function setState(next, error = null) {
+    const previous = state;
+    state = next;
+    since = new Date();
+    if (error) {
+      lastError = { message: error.message, at: since };
+    }
+    events.emit('state', { state: next, previous, error });
+  }
+
+  async function attempt() {
+    timer = null;
+    if (state === 'stopped') return;
+    attempts++;
+    setState('starting');
+
+    try {
+      await connect();
+      if (state === 'stopped') return;
+      attempts = 0;
+      setState('started');
+      console.log(`${name} connected`);
+    } catch (error) {
+      await disconnect().catch(() => {});
+      if (state === 'stopped') return;
+      const delay = backoff(attempts);
+      setState('waiting', error);
+      console.error(`${name} unavailable: ${error.message}; retrying in ${delay} ms`);
+      timer = setTimeout(attempt, delay);
+    }
+  }
+
+  function start() {
+    if (state !== 'idle') return;
+    attempt();
+  }
+
+  async function restart(error) {
+    if (state !== 'started') return;
+    setState('waiting', error);
+    await disconnect().catch(() => {});
+    if (state === 'waiting') {
+      attempt();
+    }
+  }
+
+  async function stop() {
+    if (state === 'stopped') return;
+    clearTimeout(timer);
+    setState('stopped');
+    await disconnect();
+  }
+
+  const isStarted = () => state === 'started';
+
+  function getStats() {
+    return { state, since, lastError, attempts };
+  }
+
+  return {
+    start,
+    stop,
+    restart,
+    isStarted,
+    getStats,
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener)
+  };
+}
+
+module.exports = { createKafkaStarter };
@@ -0,0 +1,100 @@
+const DEFAULT_OPTIONS = {
+  // Recent events kept for clients resuming with Last-Event-ID
+  bufferSize: 1000,
+  // Comment lines sent to idle connections so proxies keep them open
+  heartbeatInterval: 25000,
+  // Reconnect delay suggested to EventSource clients
+  retry: 3000
+};
+
+// Server-Sent Events fan-out of item events. publish() sends an event
+// envelope to every connected client and remembers it, so a client
+// reconnecting with Last-Event-ID gets what it missed. When that ID is no
+// longer remembered (too old, or the server restarted) the client gets a
+// `reset` event and should reload instead.
+function createLiveEventStream(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const clients = new Set();
+  const buffer = [];
+  const stats = { published: 0, connections: 0, resumed: 0, resets: 0 };
+  let heartbeat = null;
+
+  const format = (envelope) => [
+    `id: ${envelope.id}`,
+    `event: ${envelope.type}`,
+    `data: ${JSON.stringify({
+      id: envelope.id,
+      type: envelope.type,
+      occurredAt: envelope.occurredAt,
+      correlationId: envelope.correlationId,
+      payload: envelope.payload
+    })}`,
+    '',
+    ''
+  ].join('\n');
+
+  function publish(envelope) {
+    const message = format(envelope);
+    buffer.push({ id: String(envelope.id), message });
+    if (buffer.length > config.bufferSize) {
+      buffer.shift();
+    }
+    stats.published++;
+    clients.forEach(res => res.write(message));
+  }
+
+  // Messages after lastEventId, or null when it is not in the buffer
+  function missedSince(lastEventId) {
+    const index = buffer.findIndex(entry => entry.id === lastEventId);
+    return index === -1 ? null : buffer.slice(index + 1).map(entry => entry.message);
+  }
+
+  function subscribe(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stops nginx and similar proxies from holding events back
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.retry}\n\n`);
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = missedSince(lastEventId);
+      if (missed) {
+        stats.resumed++;
+        missed.forEach(message => res.write(message));
+      } else {
+        stats.resets++;
+        res.write(`event: reset\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+      }
+    }
+
+    clients.add(res);
+    stats.connections++;
+    req.on('close', () => clients.delete(res));
+  }
+
+  function start() {
+    if (heartbeat) return;
+    heartbeat = setInterval(() => clients.forEach(res => res.write(': ping\n\n')), config.heartbeatInterval);
+  }
+
+  // Ends every open stream; clients reconnect to another instance or later
+  function stop() {
+    clearInterval(heartbeat);
+    heartbeat = null;
+    clients.forEach(res => res.end());
+    clients.clear();
+  }
+
+  function getStats() {
+    return { clients: clients.size, buffered: buffer.length, ...stats };
+  }
+
+  return { publish, subscribe, start, stop, getStats };
+}
+
+module.exports = { createLiveEventStream };
@@ -0,0 +1,206 @@
+const client = require('prom-client');
+const mongoose = require('mongoose');
+
+// Everything GET /metrics exposes, in the Prometheus text format, next to
+// the default process and Node.js metrics
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests answered, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to answer HTTP requests, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const mongoCommandDuration = new client.Histogram({
+  name: 'mongodb_command_duration_seconds',
+  help: 'Time MongoDB took to answer commands, by command, collection and outcome',
+  labelNames: ['command', 'collection', 'outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry]
+});
+
+const eventsPublished = new client.Counter({
+  name: 'events_published_total',
+  help: 'Outbox events a broker accepted',
+  labelNames: ['broker'],
+  registers: [registry]
+});
+
+const eventsFailed = new client.Counter({
+  name: 'events_publish_failures_total',
+  help: 'Outbox events a broker did not accept; each attempt counts',
+  labelNames: ['broker'],
+  registers: [registry]
+});
+
+const kafkaMessagesConsumed = new client.Counter({
+  name: 'kafka_messages_consumed_total',
+  help: 'Kafka messages consumed, by topic and what became of them',
+  labelNames: ['topic', 'outcome'],
+  registers: [registry]
+});
+
+const rabbitMessagesConsumed = new client.Counter({
+  name: 'rabbitmq_messages_consumed_total',
+  help: 'RabbitMQ messages consumed, by queue and what became of them',
+  labelNames: ['queue', 'outcome'],
+  registers: [registry]
+});
+
+// A gauge set when Prometheus scrapes. read() resolves to [labels, value]
+// pairs; when it fails the gauge is left empty for that scrape.
+function scrapedGauge(name, help, labelNames, read) {
+  return new client.Gauge({
+    name,
+    help,
+    labelNames,
+    registers: [registry],
+    async collect() {
+      this.reset();
+      try {
+        (await read()).forEach(([labels, value]) => this.set(labels, value));
+      } catch (error) {
+        console.warn(`Could not read ${name}: ${error.message}`);
+      }
+    }
+  });
+}
+
+// Calls of read() made while one is under way share its result, so gauges
+// collected together in one scrape read once
+function shared(read) {
+  let pending = null;
+  return () => {
+    if (!pending) {
+      pending = read().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  };
+}
+
+// Route patterns rather than paths keep the number of series bounded;
+// requests no route matched share one label. An error passed to next()
+// leaves the router and resets req.baseUrl, so the pattern is taken when
+// Express sets req.route.
+function captureRoute(req) {
+  let route;
+  let pattern = null;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) {
+        pattern = `${req.baseUrl}${value.path}`;
+      }
+    }
+  });
+  return () => pattern || 'unmatched';
+}
+
+// Counts and times every request once its response is done, including
+// streams the client closed
+function trackHttpRequests(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+  const routeOf = captureRoute(req);
+  res.once('close', () => {
+    const labels = { method: req.method, route: routeOf(), status: String(res.statusCode) };
+    end(labels);
+    httpRequests.inc(labels);
+  });
+  next();
+}
+
+// Times the commands of a MongoClient connected with monitorCommands. Only
+// the started event names the collection.
+function trackMongoCommands(mongoClient) {
+  const collections = new Map();
+  mongoClient.on('commandStarted', (event) => {
+    const target = event.command[event.commandName];
+    collections.set(event.requestId, typeof target === 'string' ? target : event.command.collection || '');
+  });
+
+  const observe = (outcome) => (event) => {
+    const collection = collections.get(event.requestId) || '';
+    collections.delete(event.requestId);
+    mongoCommandDuration.observe({ command: event.commandName, collection, outcome }, event.duration / 1000);
+  };
+  mongoClient.on('commandSucceeded', observe('succeeded'));
+  mongoClient.on('commandFailed', observe('failed'));
+}
+
+// Connection state, publish buffer and queue depths of a connection from
+// createRabbitConnection; queues must be ones it declares
+function trackRabbitConnection(rabbit, queues) {
+  scrapedGauge('rabbitmq_connected', 'Whether the RabbitMQ channel is open', [], async () => (
+    [[{}, rabbit.getChannel() ? 1 : 0]]
+  ));
+  scrapedGauge('rabbitmq_publish_buffer_messages', 'Messages waiting for RabbitMQ to come back', [], async () => (
+    [[{}, rabbit.getStats().buffered]]
+  ));
+
+  const checkQueues = shared(async () => {
+    const channel = rabbit.getChannel();
+    return channel ? Promise.all(queues.map(queue => channel.checkQueue(queue))) : [];
+  });
+  scrapedGauge('rabbitmq_queue_messages', 'Messages ready in each RabbitMQ queue', ['queue'], async () => (
+    (await checkQueues()).map(({ queue, messageCount }) => [{ queue }, messageCount])
+  ));
+  scrapedGauge('rabbitmq_queue_consumers', 'Consumers of each RabbitMQ queue', ['queue'], async () => (
+    (await checkQueues()).map(({ queue, consumerCount }) => [{ queue }, consumerCount])
+  ));
+}
+
+// Outbox rows per status and the age of the oldest pending one, read with
+// getStats (getOutboxStats); skipped while MongoDB is down, where the query
+// would wait for it
+function trackOutbox(getStats) {
+  const read = shared(async () => (mongoose.connection.readyState === 1 ? getStats() : null));
+
+  scrapedGauge('outbox_events', 'Outbox events per status', ['status'], async () => {
+    const stats = await read();
+    return stats ? ['pending', 'delivered', 'failed'].map(status => [{ status }, stats[status]]) : [];
+  });
+  scrapedGauge('outbox_oldest_pending_age_seconds', 'Age of the oldest event waiting in the outbox', [], async () => {
+    const stats = await read();
+    if (!stats) return [];
+    const age = stats.oldestPendingAt ? (Date.now() - stats.oldestPendingAt.getTime()) / 1000 : 0;
+    return [[{}, age]];
+  });
+}
+
+// GET /metrics
+async function metricsHandler(req, res, next) {
+  try {
+    const metrics = await registry.metrics();
+    res.set('Content-Type', registry.contentType);
+    res.send(metrics);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  eventsPublished,
+  eventsFailed,
+  kafkaMessagesConsumed,
+  rabbitMessagesConsumed,
+  trackHttpRequests,
+  trackMongoCommands,
+  trackRabbitConnection,
+  trackOutbox,
+  metricsHandler
+};
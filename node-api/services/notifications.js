@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { Notification } = require('../models/notification');
+const { ValidationError } = require('../utils/errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// E.164: a plus, a country code and up to 15 digits in all
+const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// The channel and normalized form of a recipient: an email address, or a
+// phone number in international format, spaces, dashes and brackets allowed
+function parseRecipient(recipient) {
+  const value = String(recipient).trim();
+  if (EMAIL_PATTERN.test(value)) {
+    return { channel: 'email', recipient: value.toLowerCase() };
+  }
+
+  const phone = value.replace(/[\s\-().]/g, '');
+  if (PHONE_PATTERN.test(phone)) {
+    return { channel: 'sms', recipient: phone };
+  }
+
+  throw new ValidationError('Validation failed', [{
+    location: 'body',
+    field: 'recipient',
+    message: 'must be an email address or a phone number in international format, like +14155550123'
+  }], 'invalid_recipient');
+}
+
+// Mark a notification that never reached notifications_queue as failed
+function failNotification(id, error) {
+  return Notification.updateOne({ _id: id, status: 'queued' }, {
+    $set: { status: 'failed', error: `Could not be queued: ${error.message}`, failedAt: new Date() }
+  });
+}
+
+// Store a notification and hand it to publish(message), which puts it on
+// notifications_queue. When that fails the notification is kept as failed
+// and the error rethrown.
+async function sendNotification({ message, recipient, createdBy }, publish) {
+  const target = parseRecipient(recipient);
+  const notification = await Notification.create({ message, ...target, createdBy });
+
+  try {
+    await publish({
+      id: String(notification._id),
+      message,
+      recipient: target.recipient,
+      channel: target.channel,
+      timestamp: notification.createdAt.toISOString()
+    });
+  } catch (error) {
+    await failNotification(notification._id, error);
+    throw error;
+  }
+
+  return notification;
+}
+
+// Apply a Go service receipt: { notification_id, status, error, processed_by,
+// timestamp }. Only queued notifications change, so a repeated receipt is a
+// no-op; receipts for unknown IDs are ignored.
+async function recordNotificationReceipt(receipt) {
+  const id = receipt.notification_id;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  const sent = receipt.status === 'sent';
+  const at = receipt.timestamp ? new Date(receipt.timestamp) : new Date();
+  return Notification.findOneAndUpdate(
+    { _id: id, status: 'queued' },
+    {
+      $set: {
+        status: sent ? 'sent' : 'failed',
+        error: sent ? null : receipt.error || `Reported as ${receipt.status}`,
+        processedBy: receipt.processed_by,
+        [sent ? 'sentAt' : 'failedAt']: at
+      }
+    },
+    { new: true }
+  );
+}
+
+module.exports = { parseRecipient, sendNotification, failNotification, recordNotificationReceipt };
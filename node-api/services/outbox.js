@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const { OutboxEvent, DESTINATIONS } = require('../models/outboxEvent');
+const { eventsPublished, eventsFailed } = require('./metrics');
+
+const DEFAULT_OPTIONS = {
+  pollInterval: 1000,
+  batchSize: 50,
+  maxAttempts: 10,
+  baseDelay: 1000,
+  maxDelay: 60000,
+  lockTimeout: 30000
+};
+
+const toRow = (envelope, aggregateId) => ({
+  _id: envelope.id,
+  event: envelope.type,
+  version: envelope.version,
+  correlationId: envelope.correlationId,
+  aggregateId: String(aggregateId),
+  payload: envelope.payload,
+  createdAt: new Date(envelope.occurredAt)
+});
+
+// Record an event envelope in the outbox; pass the session of the item write
+// so both commit together
+async function enqueueEvent(envelope, aggregateId, session = null) {
+  const [row] = await OutboxEvent.create([toRow(envelope, aggregateId)], { session });
+  return row;
+}
+
+// Record many events with one insert; entries are { envelope, aggregateId }
+// and are relayed in the order given
+function enqueueEvents(entries, session = null) {
+  return OutboxEvent.insertMany(
+    entries.map(({ envelope, aggregateId }) => toRow(envelope, aggregateId)),
+    { session }
+  );
+}
+
+// Rows a destination still has to be sent
+const pendingFor = (destination) => ({
+  status: 'pending',
+  [`deliveries.${destination}.deliveredAt`]: null,
+  [`deliveries.${destination}.failedAt`]: null
+});
+
+const settledAt = (destination) => ({
+  $or: [
+    { [`deliveries.${destination}.deliveredAt`]: { $ne: null } },
+    { [`deliveries.${destination}.failedAt`]: { $ne: null } }
+  ]
+});
+
+// Close rows every destination is done with: delivered when all of them took
+// the event, failed when one ran out of attempts
+async function settleRows(ids) {
+  const now = new Date();
+  await OutboxEvent.updateMany(
+    {
+      _id: { $in: ids },
+      status: 'pending',
+      $and: DESTINATIONS.map(destination => ({ [`deliveries.${destination}.deliveredAt`]: { $ne: null } }))
+    },
+    { $set: { status: 'delivered', deliveredAt: now, lastError: null } }
+  );
+  await OutboxEvent.updateMany(
+    { _id: { $in: ids }, status: 'pending', $and: DESTINATIONS.map(settledAt) },
+    { $set: { status: 'failed' } }
+  );
+}
+
+// Relays outbox rows to every destination in creation order. publishers maps
+// each destination to an async function(rows) that sends the rows in order
+// and throws when delivery fails. Each destination has its own lane with its
+// own attempts and backoff, so one broker being down holds back only its
+// own events. Rows go out in batches of up to batchSize, so a backlog is sent
+// with few requests. options.available may map a destination to a function
+// telling whether it can be sent to at all; its lane waits, without using up
+// attempts, while it says no.
+function createOutboxRelay(publishers, options = {}) {
+  const { available = {}, ...rest } = options;
+  const config = { ...DEFAULT_OPTIONS, ...rest };
+  let timer = null;
+  let stopped = true;
+
+  const backoff = (attempts) => Math.min(config.baseDelay * 2 ** (attempts - 1), config.maxDelay);
+
+  function createLane(destination) {
+    const field = `deliveries.${destination}`;
+    let running = null;
+    let triggered = false;
+
+    const isReady = (row, now) => !(row.deliveries[destination].nextAttemptAt > now);
+
+    // Only the oldest row this destination still needs may be sent so events
+    // keep their order; while it waits for a retry everything behind it waits
+    // too. Whoever locks it also takes the ready rows right behind it, which
+    // nobody else can claim while the oldest row is locked. The lock carries a
+    // token of its own so its holder can tell whether it still has it.
+    async function claimBatch(token) {
+      const now = new Date();
+      const rows = await OutboxEvent.find(pendingFor(destination))
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(config.batchSize);
+      if (rows.length === 0 || !isReady(rows[0], now)) {
+        return [];
+      }
+
+      const lockedUntil = new Date(now.getTime() + config.lockTimeout);
+      const head = await OutboxEvent.findOneAndUpdate(
+        {
+          _id: rows[0]._id,
+          ...pendingFor(destination),
+          $or: [{ [`${field}.lockedUntil`]: null }, { [`${field}.lockedUntil`]: { $lte: now } }]
+        },
+        { $set: { [`${field}.lockedUntil`]: lockedUntil, [`${field}.lockedBy`]: token } },
+        { new: true }
+      );
+      if (!head) {
+        return [];
+      }
+
+      const readyCount = rows.findIndex((row, index) => index > 0 && !isReady(row, now));
+      const rest = rows.slice(1, readyCount === -1 ? rows.length : readyCount);
+      if (rest.length > 0) {
+        await OutboxEvent.updateMany(
+          { _id: { $in: rest.map(row => row._id) } },
+          { $set: { [`${field}.lockedUntil`]: lockedUntil, [`${field}.lockedBy`]: token } }
+        );
+      }
+      return [head, ...rest];
+    }
+
+    // Rows of ids still locked with token
+    const lockedWith = (ids, token) => ({ _id: { $in: ids }, [`${field}.lockedBy`]: token });
+    const unlock = { [`${field}.lockedUntil`]: 1, [`${field}.lockedBy`]: 1 };
+
+    // Keeps the lock of a batch while its publisher runs, which can take
+    // longer than lockTimeout when a broker holds back confirms; returns a
+    // function that stops renewing
+    function keepLocked(ids, token) {
+      const timer = setInterval(() => {
+        OutboxEvent.updateMany(lockedWith(ids, token), {
+          $set: { [`${field}.lockedUntil`]: new Date(Date.now() + config.lockTimeout) }
+        }).catch(error => console.error(`Error renewing outbox lock (${destination}):`, error.message));
+      }, config.lockTimeout / 3);
+      return () => clearInterval(timer);
+    }
+
+    async function deliver(rows, token) {
+      const ids = rows.map(row => row._id);
+      const release = keepLocked(ids, token);
+      try {
+        await publishers[destination](rows);
+      } catch (error) {
+        release();
+        eventsFailed.inc({ broker: destination }, rows.length);
+
+        // The whole batch is tried again; the oldest row decides when
+        const now = Date.now();
+        let exhausted = false;
+        await Promise.all(rows.map(row => {
+          const attempts = row.deliveries[destination].attempts + 1;
+          const failed = attempts >= config.maxAttempts;
+          exhausted = exhausted || failed;
+          return OutboxEvent.updateOne({ _id: row._id, [`${field}.lockedBy`]: token }, {
+            $set: {
+              [`${field}.attempts`]: attempts,
+              [`${field}.lastError`]: error.message,
+              [`${field}.nextAttemptAt`]: new Date(now + backoff(attempts)),
+              ...(failed && { [`${field}.failedAt`]: new Date(now) }),
+              lastError: error.message
+            },
+            $unset: unlock
+          });
+        }));
+        if (exhausted) {
+          await settleRows(ids);
+        }
+
+        const [head] = rows;
+        const others = rows.length > 1 ? ` and ${rows.length - 1} more` : '';
+        const attempt = head.deliveries[destination].attempts + 1;
+        console.error(`Error publishing ${head.event} event ${head._id}${others} to ${destination} (attempt ${attempt}):`, error.message);
+        return false;
+      }
+
+      release();
+      eventsPublished.inc({ broker: destination }, rows.length);
+      // Rows whose lock expired anyway belong to whoever took them over
+      const result = await OutboxEvent.updateMany(lockedWith(ids, token), {
+        $set: { [`${field}.deliveredAt`]: new Date(), [`${field}.lastError`]: null },
+        $unset: unlock,
+        $inc: { [`${field}.attempts`]: 1 }
+      });
+      if (result.nModified < ids.length) {
+        console.warn(`Outbox lock of ${ids.length - result.nModified} ${destination} events was lost while sending them; they may be sent twice`);
+      }
+      await settleRows(ids);
+      rows.forEach(row => console.log(`Published ${row.event} event ${row._id} to ${destination}`));
+      return true;
+    }
+
+    async function drain() {
+      try {
+        while (!stopped && (!available[destination] || available[destination]())) {
+          const token = crypto.randomUUID();
+          const rows = await claimBatch(token);
+          if (rows.length === 0 || !(await deliver(rows, token))) {
+            break;
+          }
+        }
+      } catch (error) {
+        console.error(`Outbox relay error (${destination}):`, error);
+      }
+    }
+
+    function trigger() {
+      if (stopped) return;
+      if (running) {
+        triggered = true;
+        return;
+      }
+
+      running = drain().finally(() => {
+        running = null;
+        if (triggered) {
+          triggered = false;
+          trigger();
+        }
+      });
+    }
+
+    const idle = () => running || Promise.resolve();
+
+    return { trigger, idle };
+  }
+
+  const lanes = DESTINATIONS.map(createLane);
+
+  function trigger() {
+    lanes.forEach(lane => lane.trigger());
+  }
+
+  function start() {
+    if (!stopped) return;
+    stopped = false;
+    timer = setInterval(trigger, config.pollInterval);
+    trigger();
+    console.log('Outbox relay started');
+  }
+
+  async function stop() {
+    stopped = true;
+    clearInterval(timer);
+    await Promise.all(lanes.map(lane => lane.idle()));
+  }
+
+  return { start, stop, trigger };
+}
+
+async function getOutboxStats() {
+  const [counts, oldestPending, ...destinationCounts] = await Promise.all([
+    OutboxEvent.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    OutboxEvent.findOne({ status: 'pending' }).sort({ createdAt: 1 }).select('createdAt'),
+    ...DESTINATIONS.map(destination => OutboxEvent.countDocuments(pendingFor(destination)))
+  ]);
+
+  const stats = { pending: 0, delivered: 0, failed: 0 };
+  counts.forEach(({ _id, count }) => {
+    stats[_id] = count;
+  });
+  stats.oldestPendingAt = oldestPending ? oldestPending.createdAt : null;
+  // Events each destination still has to take
+  stats.destinations = Object.fromEntries(DESTINATIONS.map((destination, index) => (
+    [destination, { pending: destinationCounts[index] }]
+  )));
+
+  return stats;
+}
+
+// Put failed rows back in the queue; the destinations that ran out of
+// attempts get a fresh budget
+async function retryFailedEvents() {
+  for (const destination of DESTINATIONS) {
+    const field = `deliveries.${destination}`;
+    await OutboxEvent.updateMany(
+      { status: 'failed', [`${field}.failedAt`]: { $ne: null } },
+      {
+        $set: { [`${field}.attempts`]: 0, [`${field}.nextAttemptAt`]: new Date() },
+        $unset: { [`${field}.failedAt`]: 1 }
+      }
+    );
+  }
+  const result = await OutboxEvent.updateMany({ status: 'failed' }, { $set: { status: 'pending' } });
+  return result.nModified;
+}
+
+module.exports = {
+  enqueueEvent,
+  enqueueEvents,
+  createOutboxRelay,
+  getOutboxStats,
+  retryFailedEvents
+};
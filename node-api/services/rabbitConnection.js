@@ -0,0 +1,252 @@
+const { EventEmitter } = require('events');
+const amqp = require('amqplib');
+const { UpstreamUnavailableError } = require('../utils/errors');
+
+const DEFAULT_OPTIONS = {
+  baseDelay: 1000,
+  maxDelay: 30000,
+  // Messages held while RabbitMQ is unreachable; publishing more fails
+  bufferSize: 1000,
+  connectTimeout: 10000
+};
+
+// Keeps one confirm channel to RabbitMQ open. setup(channel) declares the
+// queues and consumers on every new channel; a lost connection or channel is
+// reopened with exponential backoff. publish() settles once the broker
+// confirms the message. While disconnected, messages wait in a bounded
+// buffer that is sent in order on reconnect, along with any that were still
+// unconfirmed when the channel went away.
+//
+// State changes are emitted as 'state' events with { state, previous, error }:
+// idle, connecting, connected, disconnected (waiting to reconnect), closed.
+function createRabbitConnection(url, setup, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const events = new EventEmitter();
+  const buffer = [];
+  const stats = {
+    published: 0,
+    confirmed: 0,
+    nacked: 0,
+    rejected: 0,
+    reconnects: 0
+  };
+  let connection = null;
+  let channel = null;
+  let state = 'idle';
+  let since = new Date();
+  let lastError = null;
+  // Failed connection attempts since the last success
+  let attempts = 0;
+  let timer = null;
+  let inFlight = 0;
+  let sequence = 0;
+  let connectedBefore = false;
+
+  const backoff = (attempt) => Math.min(config.baseDelay * 2 ** (attempt - 1), config.maxDelay);
+
+  function setState(next, error = null) {
+    const previous = state;
+    state = next;
+    since = new Date();
+    if (error) {
+      lastError = { message: error.message, at: since };
+    }
+    events.emit('state', { state: next, previous, error });
+  }
+
+  // Messages go back into the buffer in the order they were published
+  function requeue(entry) {
+    const index = buffer.findIndex(queued => queued.sequence > entry.sequence);
+    buffer.splice(index === -1 ? buffer.length : index, 0, entry);
+  }
+
+  // Returns false when the channel is closing and the message went back into
+  // the buffer
+  function send(entry) {
+    let thrown = false;
+    inFlight++;
+    stats.published++;
+    try {
+      channel.sendToQueue(entry.queue, entry.content, entry.options, (error) => {
+        // amqplib may still report a refused message when the channel closes
+        if (thrown) return;
+        inFlight--;
+        if (!error) {
+          stats.confirmed++;
+          entry.resolve();
+        } else if (error.message === 'channel closed' && state !== 'closed') {
+          // The channel closed before the broker answered; send it again on
+          // the next one, which may deliver it twice
+          requeue(entry);
+        } else {
+          stats.nacked++;
+          entry.reject(error);
+        }
+      });
+      return true;
+    } catch (error) {
+      thrown = true;
+      inFlight--;
+      stats.published--;
+      if (error.name === 'IllegalOperationError' && state !== 'closed') {
+        // The channel is closing and its close event has not reached us yet;
+        // the message waits for the next one
+        requeue(entry);
+        return false;
+      }
+      entry.reject(error);
+      return true;
+    }
+  }
+
+  function flush() {
+    if (buffer.length > 0) {
+      console.log(`Sending ${buffer.length} buffered RabbitMQ messages`);
+    }
+    while (buffer.length > 0 && channel) {
+      if (!send(buffer.shift())) break;
+    }
+  }
+
+  function scheduleReconnect(error) {
+    if (state === 'closed') return;
+    const delay = backoff(Math.max(attempts, 1));
+    setState('disconnected', error);
+    console.error(`RabbitMQ unavailable: ${error.message}; reconnecting in ${delay} ms`);
+    timer = setTimeout(connect, delay);
+  }
+
+  function handleClose(closed, error) {
+    if (closed !== connection) return;
+    connection = null;
+    channel = null;
+    scheduleReconnect(error || new Error('Connection closed'));
+  }
+
+  async function connect() {
+    timer = null;
+    if (state === 'closed') return;
+    attempts++;
+    setState('connecting');
+
+    let opened = null;
+    try {
+      opened = await amqp.connect(url, { timeout: config.connectTimeout });
+      // 'close' follows every 'error'; reconnecting is left to it
+      opened.on('error', error => console.error('RabbitMQ connection error:', error.message));
+      const openedChannel = await opened.createConfirmChannel();
+      openedChannel.on('error', error => console.error('RabbitMQ channel error:', error.message));
+      await setup(openedChannel);
+
+      if (state === 'closed') {
+        await opened.close();
+        return;
+      }
+      connection = opened;
+      channel = openedChannel;
+      // A channel the broker closes takes the connection with it, so both
+      // are reopened together
+      openedChannel.on('close', () => {
+        if (channel === openedChannel) {
+          channel = null;
+          opened.close().catch(() => {});
+        }
+      });
+      opened.on('close', error => handleClose(opened, error));
+
+      if (connectedBefore) {
+        stats.reconnects++;
+      }
+      connectedBefore = true;
+      attempts = 0;
+      setState('connected');
+      console.log('Connected to RabbitMQ');
+      flush();
+    } catch (error) {
+      if (opened) {
+        opened.close().catch(() => {});
+      }
+      scheduleReconnect(error);
+    }
+  }
+
+  // Publish to a queue; resolves when the broker confirms the message. Fails
+  // right away when disconnected with a full buffer.
+  function publish(queue, content, publishOptions = {}) {
+    return new Promise((resolve, reject) => {
+      const entry = { queue, content, options: publishOptions, resolve, reject, sequence: ++sequence };
+      if (state === 'closed') {
+        reject(new UpstreamUnavailableError('RabbitMQ', 'RabbitMQ connection is closed'));
+      } else if (channel) {
+        send(entry);
+      } else if (buffer.length >= config.bufferSize) {
+        stats.rejected++;
+        reject(new UpstreamUnavailableError('RabbitMQ', `RabbitMQ is unavailable and ${buffer.length} messages are already waiting`));
+      } else {
+        buffer.push(entry);
+      }
+    });
+  }
+
+  function start() {
+    if (state !== 'idle') return;
+    connect();
+  }
+
+  // Buffered messages are given up; sent ones get until their confirms
+  async function stop() {
+    if (state === 'closed') return;
+    clearTimeout(timer);
+    const closing = connection;
+    const closingChannel = channel;
+    setState('closed');
+
+    buffer.splice(0).forEach(entry => (
+      entry.reject(new UpstreamUnavailableError('RabbitMQ', 'RabbitMQ connection is closed'))
+    ));
+    if (closingChannel) {
+      await closingChannel.waitForConfirms().catch(() => {});
+    }
+    connection = null;
+    channel = null;
+    if (closing) {
+      await closing.close().catch(() => {});
+    }
+  }
+
+  const getState = () => state;
+
+  // Whether publish() would take a message now rather than refuse it
+  const canPublish = () => state !== 'closed' && (channel !== null || buffer.length < config.bufferSize);
+
+  // The open channel, or null while disconnected. Messages are acked on the
+  // channel they arrived on, so handlers compare it with theirs.
+  const getChannel = () => channel;
+
+  function getStats() {
+    return {
+      state,
+      since,
+      lastError,
+      attempts,
+      buffered: buffer.length,
+      bufferSize: config.bufferSize,
+      inFlight,
+      ...stats
+    };
+  }
+
+  return {
+    start,
+    stop,
+    publish,
+    canPublish,
+    getState,
+    getChannel,
+    getStats,
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener)
+  };
+}
+
+module.exports = { createRabbitConnection };
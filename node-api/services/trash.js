@@ -0,0 +1,70 @@
+const { runInTransaction } = require('../utils/transaction');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  retentionDays: 30,
+  interval: 60 * 60 * 1000,
+  // Items deleted per transaction
+  batchSize: 100
+};
+
+// Permanently removes items that have been in the trash (deletedAt set) for
+// longer than retentionDays. Their revisions are kept. recordPurged(items,
+// session) is called with the purged items inside the transaction that
+// deletes them, so their item_purged events are stored with the delete.
+function createTrashPurger(Model, recordPurged, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let timer = null;
+
+  const purgeDateOf = (doc) => new Date(new Date(doc.deletedAt).getTime() + config.retentionDays * DAY);
+
+  function purgeBatch(cutoff) {
+    return runInTransaction(async (session) => {
+      const items = await Model.find({ deletedAt: { $ne: null, $lte: cutoff } })
+        .select({ _id: 1, version: 1, deletedAt: 1 })
+        .limit(config.batchSize)
+        .session(session);
+      if (items.length === 0) return 0;
+
+      await Model.deleteMany({ _id: { $in: items.map(item => item._id) } }, { session });
+      await recordPurged(items, session);
+      return items.length;
+    });
+  }
+
+  async function purge() {
+    try {
+      const cutoff = new Date(Date.now() - config.retentionDays * DAY);
+      let purged = 0;
+      let count;
+      do {
+        count = await purgeBatch(cutoff);
+        purged += count;
+      } while (count === config.batchSize);
+      if (purged > 0) {
+        console.log(`Purged ${purged} items deleted before ${cutoff.toISOString()}`);
+      }
+      return purged;
+    } catch (error) {
+      console.error('Trash purge error:', error);
+      return 0;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(purge, config.interval);
+    purge();
+    console.log(`Trash purger started, keeping deleted items for ${config.retentionDays} days`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, purge, purgeDateOf };
+}
+
+module.exports = { createTrashPurger };
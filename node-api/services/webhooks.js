@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Webhook } = require('../models/webhook');
+const { WebhookDelivery } = require('../models/webhookDelivery');
+const { createEnvelope } = require('./eventEnvelope');
+const { SIGNATURE_HEADER, signPayload } = require('../utils/webhookSignature');
+
+const DEFAULT_OPTIONS = {
+  pollInterval: 5000,
+  // Deliveries sent at the same time, so one slow endpoint does not hold up the rest
+  batchSize: 20,
+  timeout: 10000,
+  maxAttempts: 8,
+  baseDelay: 10000,
+  maxDelay: 60 * 60 * 1000,
+  // Failed attempts in a row, across deliveries, that switch a webhook off
+  disableAfter: 15,
+  lockTimeout: 60000
+};
+
+// Characters of the endpoint's answer kept in the delivery log
+const MAX_RESPONSE_BODY = 2000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Queue an item event envelope for every active webhook subscribed to its
+// type. Kafka may hand the same event over again; it is only queued once.
+async function queueEventDeliveries(envelope) {
+  const webhooks = await Webhook.find({
+    active: true,
+    $or: [{ events: { $size: 0 } }, { events: envelope.type }]
+  }).select('_id');
+  if (webhooks.length === 0) {
+    return 0;
+  }
+
+  const body = JSON.stringify(envelope);
+  try {
+    await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhookId: webhook._id,
+      eventId: String(envelope.id),
+      event: envelope.type,
+      body
+    })), { ordered: false });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+  return webhooks.length;
+}
+
+// Queue a webhook_ping event for one webhook, whatever its event filter, to
+// check that the endpoint is reachable and verifies signatures
+function queuePing(webhook) {
+  const envelope = createEnvelope({
+    id: new mongoose.Types.ObjectId(),
+    type: 'webhook_ping',
+    payload: { webhookId: String(webhook._id), url: webhook.url }
+  });
+  return WebhookDelivery.create({
+    webhookId: webhook._id,
+    eventId: envelope.id,
+    event: envelope.type,
+    body: JSON.stringify(envelope)
+  });
+}
+
+// A fresh copy of a delivery with its original body and a new attempt budget
+function redeliver(delivery) {
+  return WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    body: delivery.body,
+    redelivery: true,
+    redeliveryOf: delivery._id
+  });
+}
+
+// Switch a webhook off and give up on what it still had queued
+async function disableWebhook(webhook, reason) {
+  const now = new Date();
+  const result = await Webhook.updateOne({ _id: webhook._id, active: true }, {
+    $set: { active: false, disabledAt: now, disabledReason: reason, updatedAt: now }
+  });
+  // Another failing delivery of the same webhook got here first
+  if (result.nModified === 0) return;
+
+  await WebhookDelivery.updateMany(
+    { webhookId: webhook._id, status: 'pending' },
+    { $set: { status: 'failed', lastError: 'Webhook was disabled', completedAt: now }, $unset: { lockedUntil: 1 } }
+  );
+  console.warn(`Disabled webhook ${webhook._id} (${webhook.url}): ${reason}`);
+}
+
+// POSTs queued deliveries to their webhooks, signed with the webhook secret.
+// Failed attempts are retried with exponential backoff; a webhook whose
+// attempts keep failing is disabled.
+function createWebhookDispatcher(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let timer = null;
+  let running = null;
+  let stopped = true;
+  let triggered = false;
+
+  const backoff = (attempts) => Math.min(config.baseDelay * 2 ** (attempts - 1), config.maxDelay);
+
+  function claimNext() {
+    const now = new Date();
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + config.lockTimeout) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  async function send(webhook, delivery) {
+    const started = Date.now();
+    const timestamp = Math.floor(started / 1000);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'go-case-node-api-webhooks',
+          'X-Webhook-Id': String(webhook._id),
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Event': delivery.event,
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.timeout)
+      });
+      const responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+      return {
+        ok: response.ok,
+        responseStatus: response.status,
+        responseBody,
+        error: response.ok ? null : `Endpoint answered ${response.status}`,
+        durationMs: Date.now() - started
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        error: error.name === 'TimeoutError' ? `No answer within ${config.timeout} ms` : error.cause?.message || error.message,
+        durationMs: Date.now() - started
+      };
+    }
+  }
+
+  async function attempt(delivery) {
+    const webhook = await Webhook.findById(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, {
+        $set: { status: 'failed', lastError: webhook ? 'Webhook is disabled' : 'Webhook was deleted', completedAt: new Date() },
+        $unset: { lockedUntil: 1 }
+      });
+      return;
+    }
+
+    const result = await send(webhook, delivery);
+    const attempts = delivery.attempts.length + 1;
+    const entry = {
+      at: new Date(),
+      responseStatus: result.responseStatus,
+      error: result.error,
+      durationMs: result.durationMs
+    };
+    const response = { responseStatus: result.responseStatus, responseBody: result.responseBody };
+
+    if (result.ok) {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, {
+        $set: { status: 'succeeded', lastError: null, completedAt: new Date(), ...response },
+        $push: { attempts: entry },
+        $unset: { lockedUntil: 1 }
+      });
+      await Webhook.updateOne({ _id: webhook._id }, { $set: { consecutiveFailures: 0, lastSuccessAt: new Date() } });
+      return;
+    }
+
+    const failed = attempts >= config.maxAttempts;
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: {
+        status: failed ? 'failed' : 'pending',
+        lastError: result.error,
+        nextAttemptAt: new Date(Date.now() + backoff(attempts)),
+        ...(failed && { completedAt: new Date() }),
+        ...response
+      },
+      $push: { attempts: entry },
+      $unset: { lockedUntil: 1 }
+    });
+    console.error(`Webhook delivery ${delivery._id} to ${webhook.url} failed (attempt ${attempts}): ${result.error}`);
+
+    const updated = await Webhook.findOneAndUpdate(
+      { _id: webhook._id },
+      { $inc: { consecutiveFailures: 1 }, $set: { lastFailureAt: new Date() } },
+      { new: true }
+    );
+    if (updated && updated.active && updated.consecutiveFailures >= config.disableAfter) {
+      await disableWebhook(updated, `${updated.consecutiveFailures} delivery attempts failed in a row, the last with: ${result.error}`);
+    }
+  }
+
+  async function drain() {
+    try {
+      const claimed = [];
+      while (claimed.length < config.batchSize && !stopped) {
+        const delivery = await claimNext();
+        if (!delivery) break;
+        claimed.push(delivery);
+      }
+      await Promise.all(claimed.map(delivery => attempt(delivery).catch(error => {
+        console.error(`Webhook delivery ${delivery._id} error:`, error);
+      })));
+    } catch (error) {
+      console.error('Webhook dispatcher error:', error);
+    }
+  }
+
+  function trigger() {
+    if (stopped) return;
+    if (running) {
+      triggered = true;
+      return;
+    }
+
+    running = drain().finally(() => {
+      running = null;
+      if (triggered) {
+        triggered = false;
+        trigger();
+      }
+    });
+  }
+
+  function start() {
+    if (!stopped) return;
+    stopped = false;
+    timer = setInterval(trigger, config.pollInterval);
+    trigger();
+    console.log('Webhook dispatcher started');
+  }
+
+  async function stop() {
+    stopped = true;
+    clearInterval(timer);
+    if (running) {
+      await running;
+    }
+  }
+
+  return { start, stop, trigger };
+}
+
+module.exports = {
+  generateSecret,
+  queueEventDeliveries,
+  queuePing,
+  redeliver,
+  createWebhookDispatcher
+};
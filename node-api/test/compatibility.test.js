@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { checkCompatibility } = require('../schemas/compatibility');
+
+const payload = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+
+describe('checkCompatibility', () => {
+  it('accepts an unchanged schema', () => {
+    const schema = payload({ id: { type: 'string', pattern: '^[a-f0-9]{24}$' } }, { required: ['id'] });
+    assert.deepStrictEqual(checkCompatibility(schema, schema), []);
+  });
+
+  it('accepts added optional properties and narrowing number to integer', () => {
+    const oldSchema = payload({ price: { type: 'number' } });
+    const newSchema = payload({ price: { type: 'integer' }, category: { type: 'string' } });
+    assert.deepStrictEqual(checkCompatibility(oldSchema, newSchema), []);
+  });
+
+  it('reports widened types, removed properties and dropped requirements', () => {
+    const oldSchema = payload({ name: { type: 'string' }, price: { type: 'number' } }, { required: ['name'] });
+    const newSchema = payload({ name: { type: ['string', 'null'] } });
+    assert.deepStrictEqual(checkCompatibility(oldSchema, newSchema), [
+      '/: name is no longer required',
+      '/name: type widened from string to string|null',
+      '/price: property definition removed'
+    ]);
+  });
+
+  it('reports changed formats and patterns', () => {
+    const oldSchema = payload({ at: { type: 'string', format: 'date-time' }, id: { type: 'string', pattern: '^a' } });
+    const newSchema = payload({ at: { type: 'string', format: 'date' }, id: { type: 'string' } });
+    assert.deepStrictEqual(checkCompatibility(oldSchema, newSchema), [
+      '/at: format changed from date-time to date',
+      '/id: pattern changed from ^a to none'
+    ]);
+  });
+
+  it('reports enum values added or removed', () => {
+    const status = (values) => payload({ status: { type: 'string', enum: values } });
+    const oldSchema = status(['queued', 'sent']);
+    assert.deepStrictEqual(checkCompatibility(oldSchema, status(['queued', 'sent', 'failed'])), [
+      '/status: enum values added (failed)'
+    ]);
+    assert.deepStrictEqual(checkCompatibility(oldSchema, status(['queued'])), [
+      '/status: enum values removed (sent)'
+    ]);
+    assert.deepStrictEqual(checkCompatibility(payload({ status: { type: 'string' } }), oldSchema), [
+      '/status: enum added (queued, sent)'
+    ]);
+  });
+
+  it('reports value bounds tightened, loosened, added or removed', () => {
+    const oldSchema = payload({
+      price: { type: 'number', minimum: 0 },
+      name: { type: 'string', minLength: 1, maxLength: 100 }
+    });
+    const newSchema = payload({
+      price: { type: 'number', minimum: 1 },
+      name: { type: 'string', maxLength: 200 },
+      version: { type: 'integer', minimum: 1 }
+    });
+    assert.deepStrictEqual(checkCompatibility(oldSchema, newSchema), [
+      '/price: minimum changed from 0 to 1',
+      '/name: minLength changed from 1 to none',
+      '/name: maxLength changed from 100 to 200'
+    ]);
+    assert.deepStrictEqual(checkCompatibility(payload({ name: { type: 'string' } }), payload({ name: { type: 'string', maxLength: 5 } })), [
+      '/name: maxLength changed from none to 5'
+    ]);
+  });
+
+  it('reports properties added where additional properties are not allowed', () => {
+    const oldSchema = payload({ id: { type: 'string' } }, { additionalProperties: false });
+    const newSchema = payload({ id: { type: 'string' }, note: { type: 'string' } });
+    assert.deepStrictEqual(checkCompatibility(oldSchema, newSchema), [
+      '/note: property added where additional properties are not allowed',
+      '/: additional properties are now allowed'
+    ]);
+  });
+
+  it('compares array items', () => {
+    const oldSchema = payload({ tags: { type: 'array', items: { type: 'string' } } });
+    const newSchema = payload({ tags: { type: 'array', items: { type: ['string', 'number'] } } });
+    assert.deepStrictEqual(checkCompatibility(oldSchema, newSchema), [
+      '/tags/items: type widened from string to string|number'
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { etagFor, parseIfMatch, ifMatchFilter, checkIfMatch, isNotModified } = require('../utils/concurrency');
+const { PreconditionFailedError, ValidationError } = require('../utils/errors');
+
+// Just enough of an Express request for the header lookups
+const request = (headers = {}) => ({
+  get: (name) => headers[name.toLowerCase()]
+});
+
+describe('etagFor', () => {
+  it('quotes the version as a strong entity tag', () => {
+    assert.strictEqual(etagFor({ version: 3 }), '"3"');
+  });
+});
+
+describe('parseIfMatch', () => {
+  it('returns null without a header and * for any version', () => {
+    assert.strictEqual(parseIfMatch(undefined), null);
+    assert.strictEqual(parseIfMatch(' * '), '*');
+  });
+
+  it('lists the versions of strong tags and skips weak ones', () => {
+    assert.deepStrictEqual(parseIfMatch('"3"'), [3]);
+    assert.deepStrictEqual(parseIfMatch('"3", W/"4" ,"5"'), [3, 5]);
+    assert.deepStrictEqual(parseIfMatch('"abc"'), []);
+  });
+
+  it('refuses a header that is not a list of entity tags', () => {
+    assert.throws(() => parseIfMatch('3'), (error) => (
+      error instanceof ValidationError && error.code === 'invalid_precondition'
+    ));
+  });
+});
+
+describe('ifMatchFilter', () => {
+  it('adds nothing without If-Match or with *', () => {
+    assert.deepStrictEqual(ifMatchFilter(request()), {});
+    assert.deepStrictEqual(ifMatchFilter(request({ 'if-match': '*' })), {});
+  });
+
+  it('limits the write to the listed versions', () => {
+    assert.deepStrictEqual(ifMatchFilter(request({ 'if-match': '"2", "3"' })), { version: { $in: [2, 3] } });
+  });
+});
+
+describe('checkIfMatch', () => {
+  it('passes when the version is listed or no If-Match is sent', () => {
+    assert.doesNotThrow(() => checkIfMatch(request(), { version: 4 }));
+    assert.doesNotThrow(() => checkIfMatch(request({ 'if-match': '*' }), { version: 4 }));
+    assert.doesNotThrow(() => checkIfMatch(request({ 'if-match': '"3", "4"' }), { version: 4 }));
+  });
+
+  it('throws a precondition failure for another version', () => {
+    assert.throws(() => checkIfMatch(request({ 'if-match': '"3"' }), { version: 4 }), PreconditionFailedError);
+    assert.throws(() => checkIfMatch(request({ 'if-match': 'W/"4"' }), { version: 4 }), PreconditionFailedError);
+  });
+});
+
+describe('isNotModified', () => {
+  it('is false without If-None-Match or when the tag is stale', () => {
+    assert.strictEqual(isNotModified(request(), { version: 4 }), false);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '"3"' }), { version: 4 }), false);
+  });
+
+  it('matches the current tag weakly, and *', () => {
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '"4"' }), { version: 4 }), true);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '"3", W/"4"' }), { version: 4 }), true);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '*' }), { version: 4 }), true);
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { applyMergePatch } = require('../utils/mergePatch');
+
+describe('applyMergePatch', () => {
+  it('replaces, adds and removes members', () => {
+    const target = { name: 'Lamp', price: 10, category: 'Home' };
+    assert.deepStrictEqual(
+      applyMergePatch(target, { price: 12, description: 'Desk lamp', category: null }),
+      { name: 'Lamp', price: 12, description: 'Desk lamp' }
+    );
+  });
+
+  it('merges nested objects and replaces arrays whole', () => {
+    const target = { dimensions: { width: 10, height: 20 }, tags: ['a', 'b'] };
+    assert.deepStrictEqual(
+      applyMergePatch(target, { dimensions: { height: 25, depth: null }, tags: ['c'] }),
+      { dimensions: { width: 10, height: 25 }, tags: ['c'] }
+    );
+  });
+
+  it('leaves the target untouched', () => {
+    const target = { name: 'Lamp', dimensions: { width: 10 } };
+    applyMergePatch(target, { name: 'Desk lamp', dimensions: { width: 12 } });
+    assert.deepStrictEqual(target, { name: 'Lamp', dimensions: { width: 10 } });
+  });
+
+  it('returns a patch that is not an object as the result', () => {
+    assert.deepStrictEqual(applyMergePatch({ name: 'Lamp' }, ['a']), ['a']);
+    assert.strictEqual(applyMergePatch({ name: 'Lamp' }, 'Lamp'), 'Lamp');
+  });
+
+  it('follows the RFC 7396 examples', () => {
+    assert.deepStrictEqual(
+      applyMergePatch(
+        { title: 'Goodbye!', author: { givenName: 'John', familyName: 'Doe' }, tags: ['example', 'sample'], content: 'This will be unchanged' },
+        { title: 'Hello!', phoneNumber: '+01-123-456-7890', author: { familyName: null }, tags: ['example'] }
+      ),
+      { title: 'Hello!', author: { givenName: 'John' }, tags: ['example'], content: 'This will be unchanged', phoneNumber: '+01-123-456-7890' }
+    );
+    assert.deepStrictEqual(applyMergePatch({ a: 'b' }, { a: null }), {});
+    assert.deepStrictEqual(applyMergePatch({ e: null }, { a: 1 }), { e: null, a: 1 });
+    assert.deepStrictEqual(applyMergePatch({}, { a: { bb: { ccc: null } } }), { a: { bb: {} } });
+  });
+});
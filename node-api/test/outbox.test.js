@@ -0,0 +1,156 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { OutboxEvent } = require('../models/outboxEvent');
+const { createOutboxRelay } = require('../services/outbox');
+
+const LOCK = 'deliveries.kafka.lockedBy';
+
+const row = (id, kafka = {}) => ({
+  _id: id,
+  event: 'item_created',
+  createdAt: new Date(),
+  deliveries: { kafka: { attempts: 0, ...kafka }, rabbitmq: { attempts: 0 } }
+});
+
+// Stands in for the outbox collection: find hands out the given batches one
+// per call, writes are recorded. updateMany reports every listed row as
+// modified unless modified(filter, update) says otherwise.
+function stubOutbox(t, batches, { modified } = {}) {
+  const calls = { findOneAndUpdate: [], updateMany: [], updateOne: [] };
+  const rows = batches.flat();
+
+  t.mock.method(OutboxEvent, 'find', () => {
+    const result = batches.shift() || [];
+    const query = {
+      sort: () => query,
+      limit: () => query,
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return query;
+  });
+  t.mock.method(OutboxEvent, 'findOneAndUpdate', async (filter, update) => {
+    calls.findOneAndUpdate.push({ filter, update });
+    return rows.find(candidate => candidate._id === filter._id);
+  });
+  t.mock.method(OutboxEvent, 'updateMany', async (filter, update) => {
+    calls.updateMany.push({ filter, update });
+    const listed = filter._id && filter._id.$in ? filter._id.$in.length : 0;
+    return { nModified: modified ? modified(filter, update) : listed };
+  });
+  t.mock.method(OutboxEvent, 'updateOne', async (filter, update) => {
+    calls.updateOne.push({ filter, update });
+    return { nModified: 1 };
+  });
+
+  return calls;
+}
+
+const quiet = (t) => ['log', 'warn', 'error'].forEach(level => t.mock.method(console, level, () => {}));
+
+// Runs the kafka lane through one batch
+async function relayOnce(publish, options = {}) {
+  const relay = createOutboxRelay({ kafka: publish, rabbitmq: async () => {} }, {
+    pollInterval: 60000,
+    available: { rabbitmq: () => false },
+    ...options
+  });
+  relay.start();
+  await relay.stop();
+}
+
+const isDelivered = ({ update }) => Boolean(update.$set && update.$set['deliveries.kafka.deliveredAt']);
+
+describe('outbox relay', () => {
+  it('sends a batch in order and marks it delivered under the lock it claimed', async (t) => {
+    quiet(t);
+    const calls = stubOutbox(t, [[row('a'), row('b'), row('c')]]);
+    const sent = [];
+
+    await relayOnce(async (rows) => sent.push(...rows.map(({ _id }) => _id)));
+
+    assert.deepStrictEqual(sent, ['a', 'b', 'c']);
+    const token = calls.findOneAndUpdate[0].update.$set[LOCK];
+    assert.ok(token);
+    const [claimRest] = calls.updateMany;
+    assert.deepStrictEqual(claimRest.filter, { _id: { $in: ['b', 'c'] } });
+    assert.strictEqual(claimRest.update.$set[LOCK], token);
+    const delivered = calls.updateMany.filter(isDelivered);
+    assert.strictEqual(delivered.length, 1);
+    assert.deepStrictEqual(delivered[0].filter, { _id: { $in: ['a', 'b', 'c'] }, [LOCK]: token });
+  });
+
+  it('takes only the ready rows in front of one waiting for a retry', async (t) => {
+    quiet(t);
+    const later = new Date(Date.now() + 60000);
+    stubOutbox(t, [[row('a'), row('b', { nextAttemptAt: later }), row('c')]]);
+    const sent = [];
+
+    await relayOnce(async (rows) => sent.push(...rows.map(({ _id }) => _id)));
+
+    assert.deepStrictEqual(sent, ['a']);
+  });
+
+  it('sends nothing while the oldest row waits for a retry', async (t) => {
+    quiet(t);
+    const later = new Date(Date.now() + 60000);
+    const calls = stubOutbox(t, [[row('a', { nextAttemptAt: later }), row('b')]]);
+    let published = false;
+
+    await relayOnce(async () => {
+      published = true;
+    });
+
+    assert.strictEqual(published, false);
+    assert.strictEqual(calls.findOneAndUpdate.length, 0);
+  });
+
+  it('records a failed attempt with backoff on the rows it still holds', async (t) => {
+    quiet(t);
+    const calls = stubOutbox(t, [[row('a', { attempts: 2 }), row('b', { attempts: 2 })]]);
+    const before = Date.now();
+
+    await relayOnce(async () => {
+      throw new Error('broker down');
+    }, { baseDelay: 1000 });
+
+    const token = calls.findOneAndUpdate[0].update.$set[LOCK];
+    assert.strictEqual(calls.updateOne.length, 2);
+    calls.updateOne.forEach(({ filter, update }) => {
+      assert.strictEqual(filter[LOCK], token);
+      assert.strictEqual(update.$set['deliveries.kafka.attempts'], 3);
+      assert.strictEqual(update.$set['deliveries.kafka.lastError'], 'broker down');
+      assert.ok(update.$set['deliveries.kafka.nextAttemptAt'].getTime() >= before + 4000);
+      assert.ok(update.$unset[LOCK]);
+    });
+    assert.strictEqual(calls.updateMany.filter(isDelivered).length, 0);
+  });
+
+  it('renews the lock while the publisher is still sending', async (t) => {
+    quiet(t);
+    const calls = stubOutbox(t, [[row('a')]]);
+
+    await relayOnce(() => new Promise(resolve => setTimeout(resolve, 100)), { lockTimeout: 30 });
+
+    const token = calls.findOneAndUpdate[0].update.$set[LOCK];
+    const renewals = calls.updateMany.filter(({ update }) => (
+      update.$set && update.$set['deliveries.kafka.lockedUntil'] && !update.$set[LOCK]
+    ));
+    assert.ok(renewals.length > 0);
+    renewals.forEach(({ filter }) => assert.deepStrictEqual(filter, { _id: { $in: ['a'] }, [LOCK]: token }));
+    // Renewing stops once the batch is sent
+    assert.ok(calls.updateMany.indexOf(renewals[renewals.length - 1]) < calls.updateMany.findIndex(isDelivered));
+  });
+
+  it('warns when rows lost their lock before they were marked delivered', async (t) => {
+    quiet(t);
+    stubOutbox(t, [[row('a'), row('b')]], {
+      modified: (filter, update) => (isDelivered({ update }) ? 1 : filter._id.$in.length)
+    });
+
+    await relayOnce(async () => {});
+
+    const warnings = console.warn.mock.calls.map(call => call.arguments[0]);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /lock of 1 kafka events was lost/);
+  });
+});
@@ -0,0 +1,61 @@
+const { PreconditionFailedError, ValidationError } = require('./errors');
+
+// Items carry a version counter that every write increments; their ETag is
+// the version as a strong entity tag, e.g. "3"
+const etagFor = (doc) => `"${doc.version}"`;
+
+// Versions listed in an If-Match header, '*' for any, or null without one
+function parseIfMatch(header) {
+  if (header === undefined) {
+    return null;
+  }
+  if (header.trim() === '*') {
+    return '*';
+  }
+
+  // If-Match compares strongly, so weak tags never match
+  return header.split(',').flatMap(tag => {
+    const match = /^\s*(W\/)?"([^"]*)"\s*$/.exec(tag);
+    if (!match) {
+      throw new ValidationError('Invalid If-Match header', [{
+        location: 'headers',
+        field: 'if-match',
+        message: 'must be a list of item ETags'
+      }], 'invalid_precondition');
+    }
+    return !match[1] && /^\d+$/.test(match[2]) ? [Number(match[2])] : [];
+  });
+}
+
+// Filter adding the request's If-Match to a write, so the write only lands
+// while the item is still at one of the listed versions
+function ifMatchFilter(req) {
+  const expected = parseIfMatch(req.get('If-Match'));
+  if (expected === null || expected === '*') {
+    return {};
+  }
+  return { version: { $in: expected } };
+}
+
+// Throw a 412 when the request has an If-Match that doc's version fails
+function checkIfMatch(req, doc) {
+  const expected = parseIfMatch(req.get('If-Match'));
+  if (expected !== null && expected !== '*' && !expected.includes(doc.version)) {
+    throw new PreconditionFailedError();
+  }
+}
+
+// Whether the request's If-None-Match lists doc's current ETag, or is '*', so
+// a read can answer 304. If-None-Match compares weakly: W/"3" matches "3".
+function isNotModified(req, doc) {
+  const header = req.get('If-None-Match');
+  if (header === undefined) {
+    return false;
+  }
+  if (header.trim() === '*') {
+    return true;
+  }
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etagFor(doc));
+}
+
+module.exports = { etagFor, parseIfMatch, ifMatchFilter, checkIfMatch, isNotModified };
@@ -0,0 +1,9 @@
+// Quote a CSV cell when it contains a delimiter, quote or line break
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvCell).join(',');
+
+module.exports = { csvCell, csvLine };
@@ -0,0 +1,81 @@
+// Errors the API reports to clients. Each one carries an HTTP status and a
+// stable code; middleware/errors.js turns them into problem+json responses.
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', title = 'Internal Server Error' } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.title = title;
+  }
+}
+
+// errors is a list of { location, field, message }
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', errors = [], code = 'validation_failed') {
+    super(message, { status: 400, code, title: 'Bad Request' });
+    this.errors = errors;
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'unauthorized') {
+    super(message, { status: 401, code, title: 'Unauthorized' });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', code = 'forbidden') {
+    super(message, { status: 403, code, title: 'Forbidden' });
+  }
+}
+
+// new NotFoundError('Item') reports "Item not found" with code item_not_found
+class NotFoundError extends AppError {
+  constructor(resource = 'Resource') {
+    super(`${resource} not found`, {
+      status: 404,
+      code: `${resource.toLowerCase().replace(/\s+/g, '_')}_not_found`,
+      title: 'Not Found'
+    });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'conflict') {
+    super(message, { status: 409, code, title: 'Conflict' });
+  }
+}
+
+// An If-Match precondition no longer holds because the resource changed
+class PreconditionFailedError extends AppError {
+  constructor(message = 'The resource was changed by someone else', code = 'precondition_failed') {
+    super(message, { status: 412, code, title: 'Precondition Failed' });
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported content type', code = 'unsupported_media_type') {
+    super(message, { status: 415, code, title: 'Unsupported Media Type' });
+  }
+}
+
+// A broker or other dependency the request needs is not reachable
+class UpstreamUnavailableError extends AppError {
+  constructor(upstream, message = `${upstream} is unavailable`) {
+    super(message, { status: 503, code: 'upstream_unavailable', title: 'Service Unavailable' });
+    this.upstream = upstream;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  UpstreamUnavailableError
+};
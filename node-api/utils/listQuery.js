@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+// Fields that carry an index on itemSchema and can therefore be sorted on
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'name', 'price', 'category'];
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Reported as a validation error with code invalid_query
+class QueryError extends ValidationError {
+  constructor(message) {
+    super(message, [], 'invalid_query');
+  }
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    throw new QueryError(`Invalid ${name}: must be a number`);
+  }
+  return number;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError(`Invalid ${name}: must be an ISO date`);
+  }
+  return date;
+}
+
+// Build a Mongo filter from the list query params:
+// category (comma separated), minPrice, maxPrice, createdFrom, createdTo
+function parseItemFilters(query) {
+  const filter = {};
+
+  if (query.category) {
+    const categories = String(query.category).split(',').map(c => c.trim()).filter(Boolean);
+    filter.category = categories.length === 1 ? categories[0] : { $in: categories };
+  }
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    filter.price = {};
+    if (query.minPrice !== undefined) filter.price.$gte = parseNumber(query.minPrice, 'minPrice');
+    if (query.maxPrice !== undefined) filter.price.$lte = parseNumber(query.maxPrice, 'maxPrice');
+  }
+
+  if (query.createdFrom !== undefined || query.createdTo !== undefined) {
+    filter.createdAt = {};
+    if (query.createdFrom !== undefined) filter.createdAt.$gte = parseDate(query.createdFrom, 'createdFrom');
+    if (query.createdTo !== undefined) filter.createdAt.$lte = parseDate(query.createdTo, 'createdTo');
+  }
+
+  return filter;
+}
+
+// sort=price&order=asc, or the shorthand sort=-price
+function parseSort(query) {
+  let field = query.sort ? String(query.sort) : 'createdAt';
+  let order = query.order ? String(query.order).toLowerCase() : 'desc';
+
+  if (field.startsWith('-')) {
+    field = field.slice(1);
+    order = 'desc';
+  }
+
+  if (!SORTABLE_FIELDS.includes(field)) {
+    throw new QueryError(`Invalid sort field: must be one of ${SORTABLE_FIELDS.join(', ')}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw new QueryError('Invalid order: must be asc or desc');
+  }
+
+  return { field, order, direction: order === 'asc' ? 1 : -1 };
+}
+
+function parseLimit(query) {
+  if (query.limit === undefined) return DEFAULT_LIMIT;
+  const limit = parseInt(query.limit, 10);
+  if (Number.isNaN(limit) || limit < 1) {
+    throw new QueryError('Invalid limit: must be a positive integer');
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort key and _id of
+// the last document on the previous page
+function encodeCursor(doc, sort) {
+  const value = doc[sort.field];
+  return Buffer.from(JSON.stringify({
+    f: sort.field,
+    o: sort.order,
+    v: value === undefined ? null : value,
+    id: String(doc._id)
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new QueryError('Invalid cursor');
+  }
+
+  if (!decoded || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+    throw new QueryError('Invalid cursor');
+  }
+  if (decoded.f !== sort.field || decoded.o !== sort.order) {
+    throw new QueryError('Cursor does not match the requested sort');
+  }
+
+  let value = decoded.v;
+  if (value !== null && DATE_FIELDS.includes(sort.field)) {
+    value = new Date(value);
+  }
+
+  return { value, id: mongoose.Types.ObjectId(decoded.id) };
+}
+
+// Keyset condition selecting documents strictly after the cursor position.
+// Missing values sort lowest in Mongo, so they come last in descending order
+// and first in ascending order.
+function cursorCondition(cursor, sort) {
+  const { field } = sort;
+  const idOp = sort.direction === 1 ? '$gt' : '$lt';
+
+  if (cursor.value === null) {
+    const sameKey = { [field]: null, _id: { [idOp]: cursor.id } };
+    return sort.direction === 1
+      ? { $or: [sameKey, { [field]: { $ne: null } }] }
+      : sameKey;
+  }
+
+  const branches = [
+    { [field]: { [idOp]: cursor.value } },
+    { [field]: cursor.value, _id: { [idOp]: cursor.id } }
+  ];
+  if (sort.direction === -1) {
+    branches.push({ [field]: null });
+  }
+  return { $or: branches };
+}
+
+// Parse every list param at once so routes can reuse the same rules
+function parseListQuery(query) {
+  const sort = parseSort(query);
+  const filter = parseItemFilters(query);
+  const limit = parseLimit(query);
+  const cursor = query.after ? decodeCursor(query.after, sort) : null;
+
+  return { filter, sort, limit, cursor };
+}
+
+// Run a paginated find; fetches one extra document to know whether another page exists
+async function findPage(Model, { filter, sort, limit, cursor }) {
+  const pageFilter = cursor ? { $and: [filter, cursorCondition(cursor, sort)] } : filter;
+
+  const docs = await Model.find(pageFilter)
+    .sort({ [sort.field]: sort.direction, _id: sort.direction })
+    .limit(limit + 1);
+
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+  };
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  QueryError,
+  parseItemFilters,
+  parseListQuery,
+  findPage
+};
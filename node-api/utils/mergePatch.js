@@ -0,0 +1,21 @@
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply a JSON Merge Patch (RFC 7396) to target and return the result:
+// objects merge recursively, null removes a member, anything else replaces it
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return patch;
+  }
+
+  const result = isObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+}
+
+module.exports = { applyMergePatch };
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { UpstreamUnavailableError } = require('./errors');
+
+let transactionsSupported = null;
+
+// Multi-document transactions need a replica set or sharded cluster
+async function supportsTransactions() {
+  if (transactionsSupported === null) {
+    const info = await mongoose.connection.db.admin().command({ isMaster: 1 });
+    transactionsSupported = Boolean(info.setName || info.msg === 'isdbgrid');
+  }
+  return transactionsSupported;
+}
+
+// Item writes and their outbox rows must commit together, or a crash between
+// them loses the event, so a standalone MongoDB is refused rather than
+// written to without a transaction
+async function assertTransactionSupport() {
+  if (!(await supportsTransactions())) {
+    throw new UpstreamUnavailableError(
+      'MongoDB',
+      'MongoDB does not support transactions; run it as a replica set (see docker-compose.yml)'
+    );
+  }
+}
+
+// Run work(session) inside a transaction
+async function runInTransaction(work) {
+  await assertTransactionSupport();
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+}
+
+module.exports = { assertTransactionSupport, runInTransaction };
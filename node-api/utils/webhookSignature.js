@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// Header carrying "t=<unix seconds>,v1=<hex HMAC-SHA256>" on every webhook request
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Signatures older than this many seconds are rejected by verifySignature
+const DEFAULT_TOLERANCE = 300;
+
+// The HMAC covers "<timestamp>.<body>" so a captured request cannot be
+// replayed later under a fresh timestamp
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// What a receiver does with the raw request body: true when the header was
+// made with secret for this body within tolerance seconds of now
+function verifySignature(secret, header, body, { tolerance = DEFAULT_TOLERANCE, now = Date.now() } = {}) {
+  const parts = {};
+  String(header || '').split(',').forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator > 0) parts[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+  });
+
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now / 1000 - timestamp) > tolerance) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body).split('v1=')[1]);
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { SIGNATURE_HEADER, signPayload, verifySignature };
@@ -1,24 +1,44 @@
 import { Routes, Route } from 'react-router-dom'
 import Layout from './components/Layout'
+import RequireAuth from './components/RequireAuth'
 import Dashboard from './pages/Dashboard'
 import Items from './pages/Items'
 import ItemDetail from './pages/ItemDetail'
 import CreateItem from './pages/CreateItem'
+import EditItem from './pages/EditItem'
+import ImportItems from './pages/ImportItems'
 import Stats from './pages/Stats'
 import Services from './pages/Services'
+import Notifications from './pages/Notifications'
+import DeadLetters from './pages/DeadLetters'
+import Login from './pages/Login'
 
 function App() {
   return (
-    <Layout>
-      <Routes>
-        <Route path="/" element={<Dashboard />} />
-        <Route path="/items" element={<Items />} />
-        <Route path="/items/:id" element={<ItemDetail />} />
-        <Route path="/create-item" element={<CreateItem />} />
-        <Route path="/stats" element={<Stats />} />
-        <Route path="/services" element={<Services />} />
-      </Routes>
-    </Layout>
+    <Routes>
+      <Route path="/login" element={<Login />} />
+      <Route
+        path="*"
+        element={
+          <RequireAuth>
+            <Layout>
+              <Routes>
+                <Route path="/" element={<Dashboard />} />
+                <Route path="/items" element={<Items />} />
+                <Route path="/items/:id" element={<ItemDetail />} />
+                <Route path="/create-item" element={<CreateItem />} />
+                <Route path="/edit-item/:id" element={<EditItem />} />
+                <Route path="/import" element={<ImportItems />} />
+                <Route path="/stats" element={<Stats />} />
+                <Route path="/services" element={<Services />} />
+                <Route path="/notifications" element={<Notifications />} />
+                <Route path="/dead-letters" element={<DeadLetters />} />
+              </Routes>
+            </Layout>
+          </RequireAuth>
+        }
+      />
+    </Routes>
   )
 }
 
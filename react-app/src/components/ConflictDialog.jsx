@@ -0,0 +1,89 @@
+import { AlertTriangleIcon } from 'lucide-react'
+import PropTypes from 'prop-types'
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value))
+
+// Shown when a save fails because someone else changed the item first.
+// rows: [{ field, label, base, mine, theirs }] for the fields that differ
+function ConflictDialog({ rows, saving, onKeepMine, onUseTheirs, onCancel }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/50 p-4">
+      <div className="card w-full max-w-3xl">
+        <div className="flex items-start mb-4">
+          <AlertTriangleIcon className="h-6 w-6 text-yellow-500 mr-3 flex-shrink-0" />
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">This item was changed by someone else</h2>
+            <p className="text-sm text-gray-600">
+              Compare your changes with the current version and choose which one to keep.
+            </p>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">Field</th>
+                <th className="py-2 pr-4 font-medium">When you started</th>
+                <th className="py-2 pr-4 font-medium">Yours</th>
+                <th className="py-2 font-medium">Current</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ field, label, base, mine, theirs }) => {
+                const bothChanged = mine !== base && theirs !== base
+                return (
+                  <tr key={field} className="border-b border-gray-100 align-top">
+                    <td className="py-2 pr-4 font-medium text-gray-900">
+                      {label}
+                      {bothChanged && (
+                        <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                          conflict
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-500 break-words">{formatValue(base)}</td>
+                    <td className={`py-2 pr-4 break-words ${mine !== base ? 'bg-blue-50 text-blue-900' : 'text-gray-700'}`}>
+                      {formatValue(mine)}
+                    </td>
+                    <td className={`py-2 break-words ${theirs !== base ? 'bg-yellow-50 text-yellow-900' : 'text-gray-700'}`}>
+                      {formatValue(theirs)}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex items-center justify-end space-x-3 pt-6">
+          <button onClick={onCancel} disabled={saving} className="btn-secondary">
+            Keep editing
+          </button>
+          <button onClick={onUseTheirs} disabled={saving} className="btn-secondary">
+            Discard mine
+          </button>
+          <button onClick={onKeepMine} disabled={saving} className="btn-primary disabled:opacity-50">
+            {saving ? 'Saving...' : 'Save mine'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+ConflictDialog.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.shape({
+    field: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    base: PropTypes.any,
+    mine: PropTypes.any,
+    theirs: PropTypes.any
+  })).isRequired,
+  saving: PropTypes.bool,
+  onKeepMine: PropTypes.func.isRequired,
+  onUseTheirs: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+}
+
+export default ConflictDialog
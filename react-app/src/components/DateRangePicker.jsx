@@ -0,0 +1,73 @@
+import { lastDays } from '../services/dates'
+import PropTypes from 'prop-types'
+
+const DAY = 24 * 60 * 60 * 1000
+
+const PRESETS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+]
+
+// From/to date inputs with presets for recent periods. value: { from, to }
+// as YYYY-MM-DD
+function DateRangePicker({ value, onChange, maxDays = 366 }) {
+  const spanDays = (from, to) => (new Date(to) - new Date(from)) / DAY + 1
+
+  const update = (changes) => {
+    const next = { ...value, ...changes }
+    if (!next.from || !next.to || next.from > next.to || spanDays(next.from, next.to) > maxDays) {
+      return
+    }
+    onChange(next)
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {PRESETS.map(({ days, label }) => {
+        const preset = lastDays(days)
+        const active = preset.from === value.from && preset.to === value.to
+        return (
+          <button
+            key={days}
+            onClick={() => onChange(preset)}
+            className={`px-3 py-1 rounded-full text-sm font-medium ${
+              active ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        )
+      })}
+      <input
+        type="date"
+        title="From"
+        value={value.from}
+        max={value.to}
+        onChange={(e) => update({ from: e.target.value })}
+        className="input-field w-auto py-1"
+      />
+      <span className="text-gray-500">to</span>
+      <input
+        type="date"
+        title="To"
+        value={value.to}
+        min={value.from}
+        onChange={(e) => update({ to: e.target.value })}
+        className="input-field w-auto py-1"
+      />
+    </div>
+  )
+}
+
+DateRangePicker.propTypes = {
+  value: PropTypes.shape({
+    from: PropTypes.string.isRequired,
+    to: PropTypes.string.isRequired
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  maxDays: PropTypes.number
+}
+
+export default DateRangePicker
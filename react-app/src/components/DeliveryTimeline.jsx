@@ -0,0 +1,94 @@
+import { CheckCircleIcon, ClockIcon, XCircleIcon } from 'lucide-react'
+import PropTypes from 'prop-types'
+
+const transportLabels = {
+  kafka: 'Kafka',
+  rabbitmq: 'RabbitMQ'
+}
+
+const eventLabels = {
+  item_created: 'Created',
+  item_updated: 'Updated',
+  item_deleted: 'Deleted',
+  item_restored: 'Restored'
+}
+
+function StatusIcon({ status }) {
+  if (status === 'processed' || status === 'delivered') {
+    return <CheckCircleIcon className="h-4 w-4 text-green-600" />
+  }
+  if (status === 'failed') {
+    return <XCircleIcon className="h-4 w-4 text-red-600" />
+  }
+  return <ClockIcon className="h-4 w-4 text-yellow-600" />
+}
+
+StatusIcon.propTypes = {
+  status: PropTypes.string
+}
+
+function DeliveryTimeline({ deliveries }) {
+  if (deliveries.length === 0) {
+    return <p className="text-sm text-gray-600">No events published for this item yet</p>
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-6">
+      {deliveries.map((delivery) => (
+        <li key={delivery.eventId} className="ml-4">
+          <div className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-primary-600"></div>
+          <div className="flex items-center justify-between">
+            <p className="font-medium text-gray-900">
+              {eventLabels[delivery.event] || delivery.event}
+            </p>
+            <span className="flex items-center text-xs text-gray-500 capitalize">
+              <StatusIcon status={delivery.status} />
+              <span className="ml-1">{delivery.status}</span>
+            </span>
+          </div>
+          <p className="text-xs text-gray-500 mb-2">
+            {delivery.occurredAt && new Date(delivery.occurredAt).toLocaleString()}
+          </p>
+
+          {delivery.receipts.length === 0 ? (
+            <p className="text-sm text-gray-600">Waiting for consumers</p>
+          ) : (
+            <ul className="space-y-1">
+              {delivery.receipts.map((receipt) => (
+                <li
+                  key={`${receipt.transport}-${receipt.processedBy}`}
+                  className="flex items-center text-sm text-gray-700"
+                >
+                  <StatusIcon status={receipt.status} />
+                  <span className="ml-2">
+                    Processed by <span className="font-medium">{receipt.processedBy}</span> via {transportLabels[receipt.transport] || receipt.transport}
+                  </span>
+                  <span className="ml-auto text-xs text-gray-500">
+                    {new Date(receipt.processedAt).toLocaleTimeString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+DeliveryTimeline.propTypes = {
+  deliveries: PropTypes.arrayOf(PropTypes.shape({
+    eventId: PropTypes.string.isRequired,
+    event: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    occurredAt: PropTypes.string,
+    receipts: PropTypes.arrayOf(PropTypes.shape({
+      transport: PropTypes.string.isRequired,
+      processedBy: PropTypes.string.isRequired,
+      processedAt: PropTypes.string,
+      status: PropTypes.string
+    })).isRequired
+  })).isRequired
+}
+
+export default DeliveryTimeline
@@ -0,0 +1,39 @@
+import PropTypes from 'prop-types'
+
+// A row of facet options with their counts; clicking the active one clears it.
+// options: [{ key, label, count, active }]
+function FacetChips({ label, options, onSelect }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="text-sm font-medium text-gray-700 mr-1">{label}</span>
+      {options.map(option => (
+        <button
+          key={option.key}
+          onClick={() => onSelect(option.active ? null : option)}
+          disabled={option.count === 0 && !option.active}
+          className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+            option.active
+              ? 'bg-primary-600 text-white hover:bg-primary-700'
+              : 'bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed'
+          }`}
+        >
+          {option.label}
+          <span className={`ml-1.5 ${option.active ? 'text-primary-100' : 'text-gray-500'}`}>{option.count}</span>
+        </button>
+      ))}
+    </div>
+  )
+}
+
+FacetChips.propTypes = {
+  label: PropTypes.string.isRequired,
+  options: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.node.isRequired,
+    count: PropTypes.number.isRequired,
+    active: PropTypes.bool
+  })).isRequired,
+  onSelect: PropTypes.func.isRequired
+}
+
+export default FacetChips
@@ -0,0 +1,13 @@
+import PropTypes from 'prop-types'
+
+// Validation message under a form field
+function FieldError({ message }) {
+  if (!message) return null
+  return <p className="mt-1 text-sm text-red-600">{message}</p>
+}
+
+FieldError.propTypes = {
+  message: PropTypes.string
+}
+
+export default FieldError
@@ -0,0 +1,99 @@
+import PropTypes from 'prop-types'
+
+// What a node-api readiness check found out about a dependency
+function HealthDetails({ name, details }) {
+  if (!details) {
+    return null
+  }
+
+  if (name === 'kafka') {
+    return (
+      <div className="mt-3 space-y-2 text-sm text-gray-700">
+        <p>
+          Producer: <span className="font-medium capitalize">{details.producer.state}</span>
+        </p>
+        {Object.entries(details.consumers).map(([consumerName, consumer]) => (
+          <div key={consumerName}>
+            <p>
+              Consumer <span className="font-mono text-xs">{consumer.groupId}</span>:{' '}
+              <span className="font-medium capitalize">{consumer.state}</span>
+              {consumer.lag !== null && <span className="text-gray-500"> · lag {consumer.lag}</span>}
+            </p>
+            {consumer.topics && (
+              <div className="flex flex-wrap gap-2 mt-1">
+                {Object.entries(consumer.topics).map(([topic, { lag }]) => (
+                  <span
+                    key={topic}
+                    className={`px-2 py-0.5 rounded text-xs ${lag > 0 ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-600'}`}
+                  >
+                    {topic}: {lag}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  if (name === 'rabbitmq') {
+    return (
+      <div className="mt-3 space-y-2 text-sm text-gray-700">
+        <p>
+          Channel: <span className="font-medium capitalize">{details.state}</span>
+          {details.buffered > 0 && <span className="text-gray-500"> · {details.buffered} messages waiting to be sent</span>}
+        </p>
+        {details.queues && (
+          <table className="text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="pr-6 font-medium">Queue</th>
+                <th className="pr-6 font-medium">Messages</th>
+                <th className="font-medium">Consumers</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(details.queues).map(([queue, depth]) => (
+                <tr key={queue}>
+                  <td className="pr-6 font-mono">{queue}</td>
+                  <td className={`pr-6 ${depth.messages > 0 ? 'text-yellow-700 font-medium' : ''}`}>{depth.messages}</td>
+                  <td>{depth.consumers}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <p className="mt-3 text-sm text-gray-700">
+      Connection: <span className="font-medium capitalize">{details.state}</span>
+    </p>
+  )
+}
+
+// kafka details have producer and consumers, rabbitmq details state,
+// buffered and queues, the others just state
+HealthDetails.propTypes = {
+  name: PropTypes.string.isRequired,
+  details: PropTypes.shape({
+    state: PropTypes.string,
+    buffered: PropTypes.number,
+    queues: PropTypes.objectOf(PropTypes.shape({
+      messages: PropTypes.number,
+      consumers: PropTypes.number
+    })),
+    producer: PropTypes.shape({ state: PropTypes.string }),
+    consumers: PropTypes.objectOf(PropTypes.shape({
+      groupId: PropTypes.string,
+      state: PropTypes.string,
+      lag: PropTypes.number,
+      topics: PropTypes.objectOf(PropTypes.shape({ lag: PropTypes.number }))
+    }))
+  })
+}
+
+export default HealthDetails
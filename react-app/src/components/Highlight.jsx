@@ -0,0 +1,22 @@
+import PropTypes from 'prop-types'
+
+// Search highlights from the API: [{ text, match }] segments, matches marked.
+// Falls back to the plain text when there are no segments for the field.
+function Highlight({ segments, text }) {
+  if (!segments) return text || null
+  return segments.map((segment, index) => (
+    segment.match
+      ? <mark key={index} className="bg-yellow-200 text-inherit rounded px-0.5">{segment.text}</mark>
+      : <span key={index}>{segment.text}</span>
+  ))
+}
+
+Highlight.propTypes = {
+  segments: PropTypes.arrayOf(PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    match: PropTypes.bool
+  })),
+  text: PropTypes.node
+}
+
+export default Highlight
@@ -1,26 +1,49 @@
 import { useState } from 'react'
-import { Link, useLocation } from 'react-router-dom'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
 import { 
   HomeIcon, 
   PackageIcon, 
   PlusCircleIcon, 
+  UploadIcon,
   BarChart3Icon, 
   ServerIcon,
+  BellIcon,
+  InboxIcon,
   MenuIcon,
-  XIcon
+  XIcon,
+  LogOutIcon
 } from 'lucide-react'
+import { api } from '../services/api'
+import { getCurrentUser, clearSession, hasRole } from '../services/session'
 
 const navigation = [
   { name: 'Dashboard', href: '/', icon: HomeIcon },
   { name: 'Items', href: '/items', icon: PackageIcon },
-  { name: 'Create Item', href: '/create-item', icon: PlusCircleIcon },
+  { name: 'Create Item', href: '/create-item', icon: PlusCircleIcon, role: 'editor' },
+  { name: 'Import Items', href: '/import', icon: UploadIcon, role: 'editor' },
   { name: 'Statistics', href: '/stats', icon: BarChart3Icon },
   { name: 'Services', href: '/services', icon: ServerIcon },
+  { name: 'Notifications', href: '/notifications', icon: BellIcon, role: 'admin' },
+  { name: 'Dead Letters', href: '/dead-letters', icon: InboxIcon, role: 'admin' },
 ]
 
 function Layout({ children }) {
   const [sidebarOpen, setSidebarOpen] = useState(false)
   const location = useLocation()
+  const navigate = useNavigate()
+  const user = getCurrentUser()
+  const visibleNavigation = navigation.filter(item => !item.role || hasRole(item.role))
+
+  const logout = async () => {
+    try {
+      await api.auth.logout()
+    } catch (error) {
+      console.error('Error logging out:', error)
+    } finally {
+      clearSession()
+      navigate('/login')
+    }
+  }
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -35,7 +58,7 @@ function Layout({ children }) {
             </button>
           </div>
           <nav className="mt-8">
-            {navigation.map((item) => {
+            {visibleNavigation.map((item) => {
               const isActive = location.pathname === item.href
               return (
                 <Link
@@ -65,7 +88,7 @@ function Layout({ children }) {
           </div>
           <div className="flex flex-1 flex-col overflow-y-auto">
             <nav className="flex-1 px-2 py-4 space-y-1">
-              {navigation.map((item) => {
+              {visibleNavigation.map((item) => {
                 const isActive = location.pathname === item.href
                 return (
                   <Link
@@ -111,6 +134,22 @@ function Layout({ children }) {
                 <div className="h-2 w-2 bg-green-400 rounded-full"></div>
                 <span className="text-sm text-gray-600">Services Online</span>
               </div>
+              <div className="hidden lg:block lg:h-6 lg:w-px lg:bg-gray-200" />
+              {user && (
+                <div className="flex items-center space-x-3">
+                  <div className="text-right">
+                    <p className="text-sm font-medium text-gray-900">{user.name || user.email}</p>
+                    <p className="text-xs text-gray-500 capitalize">{user.role}</p>
+                  </div>
+                  <button
+                    onClick={logout}
+                    title="Log out"
+                    className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100"
+                  >
+                    <LogOutIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         </div>
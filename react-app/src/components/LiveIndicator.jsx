@@ -0,0 +1,20 @@
+import PropTypes from 'prop-types'
+
+// Whether live updates are arriving, shown next to a page title
+function LiveIndicator({ connected }) {
+  return (
+    <span
+      className={`inline-flex items-center text-xs font-medium ${connected ? 'text-green-600' : 'text-gray-400'}`}
+      title={connected ? 'Changes appear as they happen' : 'Reconnecting to live updates'}
+    >
+      <span className={`h-2 w-2 rounded-full mr-1.5 ${connected ? 'bg-green-500 animate-pulse' : 'bg-gray-300'}`} />
+      {connected ? 'Live' : 'Offline'}
+    </span>
+  )
+}
+
+LiveIndicator.propTypes = {
+  connected: PropTypes.bool.isRequired
+}
+
+export default LiveIndicator
@@ -0,0 +1,32 @@
+import { ArrowUp } from 'lucide-react'
+import PropTypes from 'prop-types'
+
+// Floating notice of changes a list does not show yet; clicking it reloads
+// the list. stale means live updates were missed, so the list may be behind.
+function NewItemsPill({ count, stale = false, onClick }) {
+  if (count === 0 && !stale) return null
+
+  const label = count > 0
+    ? `${count} new item${count === 1 ? '' : 's'}`
+    : 'Show latest changes'
+
+  return (
+    <div className="sticky top-4 z-20 flex justify-center">
+      <button
+        onClick={onClick}
+        className="inline-flex items-center px-4 py-1.5 rounded-full bg-primary-600 text-white text-sm font-medium shadow-lg hover:bg-primary-700 transition-colors"
+      >
+        <ArrowUp className="h-4 w-4 mr-1.5" />
+        {label}
+      </button>
+    </div>
+  )
+}
+
+NewItemsPill.propTypes = {
+  count: PropTypes.number.isRequired,
+  stale: PropTypes.bool,
+  onClick: PropTypes.func.isRequired
+}
+
+export default NewItemsPill
@@ -0,0 +1,20 @@
+import { Navigate, useLocation } from 'react-router-dom'
+import { getSession } from '../services/session'
+import PropTypes from 'prop-types'
+
+// Sends visitors without a session to the login page
+function RequireAuth({ children }) {
+  const location = useLocation()
+
+  if (!getSession()) {
+    return <Navigate to="/login" state={{ from: location.pathname }} replace />
+  }
+
+  return children
+}
+
+RequireAuth.propTypes = {
+  children: PropTypes.node.isRequired
+}
+
+export default RequireAuth
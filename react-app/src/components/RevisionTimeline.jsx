@@ -0,0 +1,98 @@
+import { RotateCcwIcon } from 'lucide-react'
+import PropTypes from 'prop-types'
+
+const actionLabels = {
+  created: 'Created',
+  updated: 'Updated',
+  reverted: 'Reverted',
+  deleted: 'Moved to trash',
+  restored: 'Restored'
+}
+
+const fieldLabels = {
+  name: 'Name',
+  description: 'Description',
+  price: 'Price',
+  category: 'Category'
+}
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') {
+    return '—'
+  }
+  return field === 'price' ? `$${value}` : String(value)
+}
+
+// Revisions of an item, newest first. onRevert(revision) is offered on every
+// revision but the current one; leave it out for read-only users.
+function RevisionTimeline({ revisions, currentVersion, reverting, onRevert }) {
+  if (revisions.length === 0) {
+    return <p className="text-sm text-gray-600">No changes recorded for this item yet</p>
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-6">
+      {revisions.map((revision) => (
+        <li key={revision.revision} className="ml-4">
+          <div className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-primary-600"></div>
+          <div className="flex items-center justify-between">
+            <p className="font-medium text-gray-900">
+              {actionLabels[revision.action] || revision.action}
+              {revision.revertedFrom && ` to revision ${revision.revertedFrom}`}
+              <span className="ml-2 text-xs font-normal text-gray-500">#{revision.revision}</span>
+            </p>
+            {onRevert && revision.action !== 'deleted' && revision.revision !== currentVersion && (
+              <button
+                onClick={() => onRevert(revision.revision)}
+                disabled={reverting}
+                className="flex items-center text-xs text-primary-600 hover:text-primary-800 disabled:opacity-50"
+              >
+                <RotateCcwIcon className="h-3 w-3 mr-1" />
+                Revert to this
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 mb-2">
+            {new Date(revision.createdAt).toLocaleString()}
+            {revision.actor?.email && ` by ${revision.actor.email}`}
+          </p>
+
+          {revision.changes.length === 0 ? (
+            <p className="text-sm text-gray-600">No field changes</p>
+          ) : (
+            <ul className="space-y-1">
+              {revision.changes.map((change) => (
+                <li key={change.field} className="text-sm text-gray-700 break-words">
+                  <span className="font-medium">{fieldLabels[change.field] || change.field}:</span>{' '}
+                  <span className="text-red-600 line-through">{formatValue(change.field, change.from)}</span>
+                  {' → '}
+                  <span className="text-green-700">{formatValue(change.field, change.to)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+RevisionTimeline.propTypes = {
+  revisions: PropTypes.arrayOf(PropTypes.shape({
+    revision: PropTypes.number.isRequired,
+    action: PropTypes.string.isRequired,
+    revertedFrom: PropTypes.number,
+    createdAt: PropTypes.string.isRequired,
+    actor: PropTypes.shape({ email: PropTypes.string }),
+    changes: PropTypes.arrayOf(PropTypes.shape({
+      field: PropTypes.string.isRequired,
+      from: PropTypes.any,
+      to: PropTypes.any
+    })).isRequired
+  })).isRequired,
+  currentVersion: PropTypes.number,
+  reverting: PropTypes.bool,
+  onRevert: PropTypes.func
+}
+
+export default RevisionTimeline
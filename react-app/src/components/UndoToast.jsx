@@ -0,0 +1,28 @@
+import toast from 'react-hot-toast'
+import PropTypes from 'prop-types'
+
+// Toast body with an Undo button; render it with toast((t) => <UndoToast t={t} ... />)
+function UndoToast({ t, message, onUndo }) {
+  return (
+    <span className="flex items-center">
+      {message}
+      <button
+        onClick={() => {
+          toast.dismiss(t.id)
+          onUndo()
+        }}
+        className="ml-4 font-medium text-primary-600 hover:text-primary-800"
+      >
+        Undo
+      </button>
+    </span>
+  )
+}
+
+UndoToast.propTypes = {
+  t: PropTypes.shape({ id: PropTypes.string.isRequired }).isRequired,
+  message: PropTypes.node.isRequired,
+  onUndo: PropTypes.func.isRequired
+}
+
+export default UndoToast
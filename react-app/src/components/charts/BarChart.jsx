@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import { useElementWidth } from './useElementWidth'
+import { valueTicks, colorAt, truncate } from './scale'
+import ChartTooltip from './ChartTooltip'
+import PropTypes from 'prop-types'
+
+const MARGIN = { top: 16, right: 16, bottom: 56, left: 56 }
+
+// Vertical bar chart. data: [{ label, value, color? }]; gap is the share of
+// each slot left empty between bars (0 for a histogram).
+function BarChart({ data, height = 260, gap = 0.3, integer = false, formatValue = String, color }) {
+  const [ref, width] = useElementWidth()
+  const [tooltip, setTooltip] = useState(null)
+
+  const innerWidth = Math.max(0, width - MARGIN.left - MARGIN.right)
+  const innerHeight = height - MARGIN.top - MARGIN.bottom
+  const ticks = valueTicks(Math.max(0, ...data.map(entry => entry.value)), { integer })
+  const top = ticks[ticks.length - 1]
+  const slot = data.length > 0 ? innerWidth / data.length : 0
+  const barWidth = Math.max(1, slot * (1 - gap))
+  const rotateLabels = slot < 56
+  const y = (value) => innerHeight - (value / top) * innerHeight
+
+  return (
+    <div ref={ref} className="relative w-full">
+      <svg width={width} height={height} role="img">
+        <g transform={`translate(${MARGIN.left},${MARGIN.top})`}>
+          {ticks.map(tick => (
+            <g key={tick} transform={`translate(0,${y(tick)})`}>
+              <line x2={innerWidth} stroke="#e5e7eb" />
+              <text x={-8} dy="0.32em" textAnchor="end" className="fill-gray-500 text-xs">
+                {formatValue(tick)}
+              </text>
+            </g>
+          ))}
+
+          {data.map((entry, index) => {
+            const x = index * slot + (slot - barWidth) / 2
+            const showTooltip = () => setTooltip({
+              x: MARGIN.left + x + barWidth / 2,
+              y: MARGIN.top + y(entry.value),
+              title: entry.label,
+              text: formatValue(entry.value),
+            })
+            return (
+              <g key={entry.label} onMouseEnter={showTooltip} onMouseLeave={() => setTooltip(null)}>
+                {/* Full-height target so short bars are easy to hover */}
+                <rect x={index * slot} width={slot} height={innerHeight} fill="transparent" />
+                <rect
+                  x={x}
+                  y={y(entry.value)}
+                  width={barWidth}
+                  height={innerHeight - y(entry.value)}
+                  rx={gap > 0 ? 3 : 0}
+                  fill={entry.color || color || colorAt(index)}
+                  className="transition-opacity hover:opacity-80"
+                />
+                <text
+                  transform={`translate(${index * slot + slot / 2},${innerHeight + 14})${rotateLabels ? ' rotate(-35)' : ''}`}
+                  textAnchor={rotateLabels ? 'end' : 'middle'}
+                  className="fill-gray-600 text-xs"
+                >
+                  {truncate(entry.label, rotateLabels ? 12 : 16)}
+                </text>
+              </g>
+            )
+          })}
+
+          <line y1={innerHeight} x2={innerWidth} y2={innerHeight} stroke="#9ca3af" />
+        </g>
+      </svg>
+      <ChartTooltip tooltip={tooltip} />
+    </div>
+  )
+}
+
+BarChart.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.number.isRequired,
+    color: PropTypes.string
+  })).isRequired,
+  height: PropTypes.number,
+  gap: PropTypes.number,
+  integer: PropTypes.bool,
+  formatValue: PropTypes.func,
+  color: PropTypes.string
+}
+
+export default BarChart
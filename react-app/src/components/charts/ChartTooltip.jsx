@@ -0,0 +1,27 @@
+import PropTypes from 'prop-types'
+
+// Tooltip above a point of a chart; x and y are relative to the chart's
+// positioned container
+function ChartTooltip({ tooltip }) {
+  if (!tooltip) return null
+  return (
+    <div
+      className="pointer-events-none absolute z-10 -translate-x-1/2 -translate-y-full whitespace-nowrap rounded-md bg-gray-900 px-2 py-1 text-xs text-white shadow-lg"
+      style={{ left: tooltip.x, top: tooltip.y - 8 }}
+    >
+      <p className="font-medium">{tooltip.title}</p>
+      <p className="text-gray-300">{tooltip.text}</p>
+    </div>
+  )
+}
+
+ChartTooltip.propTypes = {
+  tooltip: PropTypes.shape({
+    x: PropTypes.number.isRequired,
+    y: PropTypes.number.isRequired,
+    title: PropTypes.node,
+    text: PropTypes.node
+  })
+}
+
+export default ChartTooltip
@@ -0,0 +1,101 @@
+import { useState } from 'react'
+import { useElementWidth } from './useElementWidth'
+import { valueTicks } from './scale'
+import ChartTooltip from './ChartTooltip'
+import PropTypes from 'prop-types'
+
+const MARGIN = { top: 16, right: 24, bottom: 32, left: 48 }
+
+// Most x-axis labels shown at once; the rest are skipped evenly
+const MAX_LABELS = 8
+
+// Line chart of evenly spaced points. data: [{ label, value }]
+function LineChart({ data, height = 260, integer = false, formatValue = String, formatLabel = String, color = '#3b82f6' }) {
+  const [ref, width] = useElementWidth()
+  const [active, setActive] = useState(null)
+
+  const innerWidth = Math.max(0, width - MARGIN.left - MARGIN.right)
+  const innerHeight = height - MARGIN.top - MARGIN.bottom
+  const ticks = valueTicks(Math.max(0, ...data.map(entry => entry.value)), { integer })
+  const top = ticks[ticks.length - 1]
+  const step = data.length > 1 ? innerWidth / (data.length - 1) : 0
+  const x = (index) => (data.length > 1 ? index * step : innerWidth / 2)
+  const y = (value) => innerHeight - (value / top) * innerHeight
+  const labelEvery = Math.ceil(data.length / MAX_LABELS)
+
+  const line = data.map((entry, index) => `${index === 0 ? 'M' : 'L'}${x(index)},${y(entry.value)}`).join(' ')
+  const area = data.length > 0 ? `${line} L${x(data.length - 1)},${innerHeight} L${x(0)},${innerHeight} Z` : ''
+
+  // Point nearest to the pointer
+  const handleMove = (e) => {
+    if (data.length === 0) return
+    const left = e.currentTarget.getBoundingClientRect().left
+    const index = step > 0 ? Math.round((e.clientX - left) / step) : 0
+    setActive(Math.min(data.length - 1, Math.max(0, index)))
+  }
+
+  const tooltip = active === null || !data[active] ? null : {
+    x: MARGIN.left + x(active),
+    y: MARGIN.top + y(data[active].value),
+    title: formatLabel(data[active].label),
+    text: formatValue(data[active].value),
+  }
+
+  return (
+    <div ref={ref} className="relative w-full">
+      <svg width={width} height={height} role="img">
+        <g transform={`translate(${MARGIN.left},${MARGIN.top})`}>
+          {ticks.map(tick => (
+            <g key={tick} transform={`translate(0,${y(tick)})`}>
+              <line x2={innerWidth} stroke="#e5e7eb" />
+              <text x={-8} dy="0.32em" textAnchor="end" className="fill-gray-500 text-xs">
+                {formatValue(tick)}
+              </text>
+            </g>
+          ))}
+
+          {data.map((entry, index) => (
+            index % labelEvery === 0 && (
+              <text key={entry.label} x={x(index)} y={innerHeight + 20} textAnchor="middle" className="fill-gray-600 text-xs">
+                {formatLabel(entry.label)}
+              </text>
+            )
+          ))}
+
+          <path d={area} fill={color} fillOpacity={0.1} />
+          <path d={line} fill="none" stroke={color} strokeWidth={2} strokeLinejoin="round" />
+
+          {tooltip && (
+            <g>
+              <line x1={x(active)} x2={x(active)} y2={innerHeight} stroke="#9ca3af" strokeDasharray="4 4" />
+              <circle cx={x(active)} cy={y(data[active].value)} r={4} fill={color} stroke="#fff" strokeWidth={2} />
+            </g>
+          )}
+
+          <rect
+            width={innerWidth}
+            height={innerHeight}
+            fill="transparent"
+            onMouseMove={handleMove}
+            onMouseLeave={() => setActive(null)}
+          />
+        </g>
+      </svg>
+      <ChartTooltip tooltip={tooltip} />
+    </div>
+  )
+}
+
+LineChart.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.number.isRequired
+  })).isRequired,
+  height: PropTypes.number,
+  integer: PropTypes.bool,
+  formatValue: PropTypes.func,
+  formatLabel: PropTypes.func,
+  color: PropTypes.string
+}
+
+export default LineChart
@@ -0,0 +1,107 @@
+import { useState } from 'react'
+import { colorAt } from './scale'
+import ChartTooltip from './ChartTooltip'
+import PropTypes from 'prop-types'
+
+const point = (radius, angle) => [radius * Math.sin(angle), -radius * Math.cos(angle)]
+
+// Path of a ring slice between two angles (radians, clockwise from the top)
+function slicePath(outer, inner, start, end) {
+  const large = end - start > Math.PI ? 1 : 0
+  const [x1, y1] = point(outer, start)
+  const [x2, y2] = point(outer, end)
+  const [x3, y3] = point(inner, end)
+  const [x4, y4] = point(inner, start)
+  return [
+    `M${x1},${y1}`,
+    `A${outer},${outer} 0 ${large} 1 ${x2},${y2}`,
+    inner > 0 ? `L${x3},${y3} A${inner},${inner} 0 ${large} 0 ${x4},${y4}` : 'L0,0',
+    'Z',
+  ].join(' ')
+}
+
+// Pie, or donut by default, with a legend. data: [{ label, value }]; entries
+// without a positive value are left out.
+function PieChart({ data, size = 220, donut = true, formatValue = String }) {
+  const [tooltip, setTooltip] = useState(null)
+
+  const entries = data
+    .map((entry, index) => ({ ...entry, color: entry.color || colorAt(index) }))
+    .filter(entry => entry.value > 0)
+  const total = entries.reduce((sum, entry) => sum + entry.value, 0)
+  const outer = size / 2
+  const inner = donut ? outer * 0.6 : 0
+  const share = (value) => `${((value / total) * 100).toFixed(1)}%`
+
+  let angle = 0
+  const slices = entries.map(entry => {
+    const start = angle
+    angle += (entry.value / total) * 2 * Math.PI
+    return { ...entry, start, end: angle }
+  })
+
+  if (total === 0) {
+    return <p className="text-sm text-gray-500">Nothing to show</p>
+  }
+
+  return (
+    <div className="flex flex-col items-center gap-6 sm:flex-row sm:items-start">
+      <div className="relative flex-shrink-0" style={{ width: size, height: size }}>
+        <svg width={size} height={size} viewBox={`${-outer} ${-outer} ${size} ${size}`} role="img">
+          {slices.map(slice => {
+            const middle = (slice.start + slice.end) / 2
+            const [cx, cy] = point((outer + inner) / 2, middle)
+            const showTooltip = () => setTooltip({
+              x: outer + cx,
+              y: outer + cy,
+              title: slice.label,
+              text: `${formatValue(slice.value)} (${share(slice.value)})`,
+            })
+            return slices.length === 1 ? (
+              <g key={slice.label} onMouseEnter={showTooltip} onMouseLeave={() => setTooltip(null)}>
+                <circle r={(outer + inner) / 2} fill="none" stroke={slice.color} strokeWidth={outer - inner} />
+              </g>
+            ) : (
+              <path
+                key={slice.label}
+                d={slicePath(outer, inner, slice.start, slice.end)}
+                fill={slice.color}
+                stroke="#fff"
+                strokeWidth={1}
+                className="transition-opacity hover:opacity-80"
+                onMouseEnter={showTooltip}
+                onMouseLeave={() => setTooltip(null)}
+              />
+            )
+          })}
+        </svg>
+        <ChartTooltip tooltip={tooltip} />
+      </div>
+
+      <ul className="w-full space-y-2 text-sm">
+        {slices.map(slice => (
+          <li key={slice.label} className="flex items-center justify-between">
+            <span className="flex items-center min-w-0">
+              <span className="w-3 h-3 rounded-full mr-2 flex-shrink-0" style={{ backgroundColor: slice.color }}></span>
+              <span className="truncate text-gray-900">{slice.label}</span>
+            </span>
+            <span className="ml-4 text-gray-500 whitespace-nowrap">{share(slice.value)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+PieChart.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.number.isRequired,
+    color: PropTypes.string
+  })).isRequired,
+  size: PropTypes.number,
+  donut: PropTypes.bool,
+  formatValue: PropTypes.func
+}
+
+export default PieChart
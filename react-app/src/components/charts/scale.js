@@ -0,0 +1,21 @@
+// Colors for chart series, in the order categories are listed
+export const CHART_COLORS = [
+  '#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444',
+  '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#6366f1',
+]
+
+export const colorAt = (index) => CHART_COLORS[index % CHART_COLORS.length]
+
+// Ticks of a value axis from zero to just above max, about count of them,
+// stepping by 1, 2, 2.5 or 5 times a power of ten
+export const valueTicks = (max, { count = 4, integer = false } = {}) => {
+  if (!(max > 0)) return [0, 1]
+  const raw = max / count
+  const magnitude = 10 ** Math.floor(Math.log10(raw))
+  let step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= raw) * magnitude
+  if (integer) step = Math.max(1, Math.ceil(step))
+  const steps = Math.ceil(max / step)
+  return Array.from({ length: steps + 1 }, (value, index) => Math.round(index * step * 1e6) / 1e6)
+}
+
+export const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text)
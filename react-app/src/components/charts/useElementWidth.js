@@ -0,0 +1,19 @@
+import { useEffect, useRef, useState } from 'react'
+
+// Width of the element behind ref, kept current as the layout changes so
+// charts can redraw to fit
+export function useElementWidth(initialWidth = 600) {
+  const ref = useRef(null)
+  const [width, setWidth] = useState(initialWidth)
+
+  useEffect(() => {
+    const element = ref.current
+    if (!element) return undefined
+    setWidth(element.clientWidth)
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width))
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [])
+
+  return [ref, width]
+}
@@ -2,7 +2,10 @@ import { useState } from 'react'
 import { useNavigate, Link } from 'react-router-dom'
 import { ArrowLeftIcon, PlusCircleIcon } from 'lucide-react'
 import { api } from '../services/api'
+import { fieldErrorsFromResponse } from '../services/validation'
 import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
+import FieldError from '../components/FieldError'
 
 function CreateItem() {
   const navigate = useNavigate()
@@ -13,6 +16,8 @@ function CreateItem() {
     price: '',
     category: ''
   })
+  // Field problems from the server's 400 response
+  const [errors, setErrors] = useState({})
 
   const handleInputChange = (e) => {
     const { name, value } = e.target
@@ -20,30 +25,21 @@ function CreateItem() {
       ...prev,
       [name]: value
     }))
+    setErrors(prev => ({ ...prev, [name]: undefined }))
   }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
-    
-    if (!formData.name.trim()) {
-      toast.error('Item name is required')
-      return
-    }
 
-    if (!formData.price || isNaN(formData.price) || parseFloat(formData.price) < 0) {
-      toast.error('Please enter a valid price')
-      return
+    const itemData = {
+      name: formData.name.trim(),
+      description: formData.description.trim(),
+      ...(formData.price !== '' && { price: Number(formData.price) }),
+      category: formData.category.trim() || 'Uncategorized'
     }
 
     try {
       setLoading(true)
-      
-      const itemData = {
-        name: formData.name.trim(),
-        description: formData.description.trim(),
-        price: parseFloat(formData.price),
-        category: formData.category.trim() || 'Uncategorized'
-      }
 
       const response = await api.items.create(itemData)
       toast.success('Item created successfully!')
@@ -51,7 +47,8 @@ function CreateItem() {
       
     } catch (error) {
       console.error('Error creating item:', error)
-      toast.error(error.response?.data?.error || 'Failed to create item')
+      setErrors(fieldErrorsFromResponse(error))
+      toast.error(errorMessage(error, 'Failed to create item'))
     } finally {
       setLoading(false)
     }
@@ -103,6 +100,7 @@ function CreateItem() {
               className="input-field"
               required
             />
+            <FieldError message={errors.name} />
           </div>
 
           <div>
@@ -118,6 +116,7 @@ function CreateItem() {
               rows={4}
               className="input-field resize-none"
             />
+            <FieldError message={errors.description} />
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -142,6 +141,7 @@ function CreateItem() {
                   required
                 />
               </div>
+              <FieldError message={errors.price} />
             </div>
 
             <div>
@@ -170,6 +170,7 @@ function CreateItem() {
                 placeholder="Or enter custom category"
                 className="input-field mt-2"
               />
+              <FieldError message={errors.category} />
             </div>
           </div>
 
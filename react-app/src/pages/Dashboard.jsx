@@ -11,6 +11,12 @@ import {
 } from 'lucide-react'
 import { api } from '../services/api'
 import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
+import { useItemEvents } from '../services/liveEvents'
+import NewItemsPill from '../components/NewItemsPill'
+import LiveIndicator from '../components/LiveIndicator'
+
+const RECENT_ITEMS = 5
 
 function Dashboard() {
   const [stats, setStats] = useState({
@@ -22,6 +28,9 @@ function Dashboard() {
     }
   })
   const [loading, setLoading] = useState(true)
+  // Items created since the recent list was shown, newest first
+  const [pendingItems, setPendingItems] = useState([])
+  const [stale, setStale] = useState(false)
 
   useEffect(() => {
     loadDashboardData()
@@ -31,8 +40,8 @@ function Dashboard() {
     try {
       setLoading(true)
       
-      // Load items from Node API
-      const itemsResponse = await api.items.getAll()
+      // Load the most recent items from Node API
+      const itemsResponse = await api.items.getAll({ limit: RECENT_ITEMS })
       const items = itemsResponse.data.data || []
       
       // Load stats from Go service
@@ -48,20 +57,63 @@ function Dashboard() {
       const serviceStatus = await checkServiceHealth()
       
       setStats({
-        totalItems: items.length,
-        recentItems: items.slice(0, 5),
+        totalItems: itemsResponse.data.total ?? items.length,
+        recentItems: items,
         serviceStatus,
         goStats
       })
+      setPendingItems([])
+      setStale(false)
       
     } catch (error) {
       console.error('Error loading dashboard data:', error)
-      toast.error('Failed to load dashboard data')
+      toast.error(errorMessage(error, 'Failed to load dashboard data'))
     } finally {
       setLoading(false)
     }
   }
 
+  // The item count follows every change; new items are added to the recent
+  // list when the pill is clicked
+  const live = useItemEvents((type, event) => {
+    const item = event.payload
+
+    if (type === 'item_created' || type === 'item_restored') {
+      setStats(prev => ({ ...prev, totalItems: prev.totalItems + 1 }))
+      setPendingItems(prev => [item, ...prev.filter(pending => pending._id !== item._id)])
+    } else if (type === 'item_updated') {
+      const update = (existing) => (
+        existing._id === item._id && item.version >= (existing.version || 0) ? { ...existing, ...item } : existing
+      )
+      setStats(prev => ({ ...prev, recentItems: prev.recentItems.map(update) }))
+      setPendingItems(prev => prev.map(update))
+    } else if (type === 'item_deleted') {
+      setStats(prev => ({
+        ...prev,
+        totalItems: Math.max(0, prev.totalItems - 1),
+        recentItems: prev.recentItems.filter(existing => existing._id !== item.id)
+      }))
+      setPendingItems(prev => prev.filter(pending => pending._id !== item.id))
+    } else if (type === 'reset') {
+      setStale(true)
+    }
+  })
+
+  const showPendingItems = () => {
+    if (stale) {
+      loadDashboardData()
+      return
+    }
+    setStats(prev => ({
+      ...prev,
+      recentItems: [
+        ...pendingItems,
+        ...prev.recentItems.filter(existing => !pendingItems.some(pending => pending._id === existing._id))
+      ].slice(0, RECENT_ITEMS)
+    }))
+    setPendingItems([])
+  }
+
   const checkServiceHealth = async () => {
     const status = {
       nodeApi: false,
@@ -87,13 +139,13 @@ function Dashboard() {
 
   const sendTestNotification = async () => {
     try {
-      await api.items.notify({
+      await api.notifications.send({
         message: 'Test notification from React dashboard',
         recipient: 'admin@example.com'
       })
-      toast.success('Test notification sent successfully!')
+      toast.success('Test notification queued')
     } catch (error) {
-      toast.error('Failed to send notification')
+      toast.error(errorMessage(error, 'Failed to send notification'))
     }
   }
 
@@ -106,7 +158,7 @@ function Dashboard() {
       })
       toast.success('Test event sent to Go service!')
     } catch (error) {
-      toast.error('Failed to send test event')
+      toast.error(errorMessage(error, 'Failed to send test event'))
     }
   }
 
@@ -122,7 +174,12 @@ function Dashboard() {
     <div className="space-y-8">
       {/* Welcome section */}
       <div className="bg-gradient-to-r from-primary-600 to-primary-700 rounded-lg p-6 text-white">
-        <h1 className="text-3xl font-bold mb-2">Microservices Dashboard</h1>
+        <div className="flex items-center justify-between mb-2">
+          <h1 className="text-3xl font-bold">Microservices Dashboard</h1>
+          <span className="bg-white rounded-full px-3 py-1">
+            <LiveIndicator connected={live} />
+          </span>
+        </div>
         <p className="text-primary-100">
           Manage your items and monitor your microservices architecture
         </p>
@@ -253,6 +310,8 @@ function Dashboard() {
         </div>
       </div>
 
+      <NewItemsPill count={pendingItems.length} stale={stale} onClick={showPendingItems} />
+
       {/* Recent Items */}
       {stats.recentItems.length > 0 && (
         <div className="card">
@@ -0,0 +1,427 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { InboxIcon, PlayIcon, RefreshCwIcon, SaveIcon, Trash2Icon, XIcon } from 'lucide-react'
+import { api } from '../services/api'
+import { fieldErrorsFromResponse } from '../services/validation'
+import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
+import FieldError from '../components/FieldError'
+
+const PAGE_SIZE = 20
+
+const statusStyles = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  replayed: 'bg-green-100 text-green-800',
+}
+
+const sourceLabels = {
+  rabbitmq: 'RabbitMQ',
+  kafka: 'Kafka',
+}
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—')
+
+// JSON bodies are shown indented; anything else as it was received
+const formatBody = (body) => {
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2)
+  } catch {
+    return body
+  }
+}
+
+function DeadLetters() {
+  const [deadLetters, setDeadLetters] = useState([])
+  const [summary, setSummary] = useState([])
+  const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [filters, setFilters] = useState({ queue: '', status: 'pending' })
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [selected, setSelected] = useState(null)
+  const [body, setBody] = useState('')
+  const [bodyError, setBodyError] = useState(null)
+  const [busy, setBusy] = useState(false)
+  // Only the latest list request may replace the list
+  const latestRequest = useRef(0)
+
+  const listParams = useCallback(() => {
+    const params = { limit: PAGE_SIZE }
+    if (filters.queue) params.queue = filters.queue
+    if (filters.status) params.status = filters.status
+    return params
+  }, [filters])
+
+  const loadSummary = useCallback(async () => {
+    try {
+      const response = await api.deadLetters.getSummary()
+      setSummary(response.data.data || [])
+    } catch (error) {
+      console.error('Error loading dead letter summary:', error)
+    }
+  }, [])
+
+  const loadDeadLetters = useCallback(async () => {
+    const request = ++latestRequest.current
+    loadSummary()
+    try {
+      setLoading(true)
+      const response = await api.deadLetters.getAll(listParams())
+      if (request !== latestRequest.current) return
+      setDeadLetters(response.data.data || [])
+      setTotal(response.data.total ?? 0)
+      setNextCursor(response.data.nextCursor || null)
+    } catch (error) {
+      if (request !== latestRequest.current) return
+      console.error('Error loading dead letters:', error)
+      toast.error(errorMessage(error, 'Failed to load dead letters'))
+    } finally {
+      if (request === latestRequest.current) {
+        setLoading(false)
+      }
+    }
+  }, [listParams, loadSummary])
+
+  useEffect(() => {
+    loadDeadLetters()
+  }, [loadDeadLetters])
+
+  const loadMore = async () => {
+    if (!nextCursor) return
+
+    const request = latestRequest.current
+    try {
+      setLoadingMore(true)
+      const response = await api.deadLetters.getAll({ ...listParams(), after: nextCursor })
+      if (request !== latestRequest.current) return
+      setDeadLetters(prev => [...prev, ...(response.data.data || [])])
+      setNextCursor(response.data.nextCursor || null)
+    } catch (error) {
+      console.error('Error loading more dead letters:', error)
+      toast.error(errorMessage(error, 'Failed to load more dead letters'))
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  const openDeadLetter = async (id) => {
+    try {
+      const response = await api.deadLetters.getById(id)
+      const deadLetter = response.data.data
+      setSelected(deadLetter)
+      setBody(formatBody(deadLetter.body))
+      setBodyError(null)
+    } catch (error) {
+      console.error('Error loading dead letter:', error)
+      toast.error(errorMessage(error, 'Failed to load dead letter'))
+    }
+  }
+
+  const closeDeadLetter = () => {
+    setSelected(null)
+    setBodyError(null)
+  }
+
+  // Keep the list row in step with the dead letter the server answered with
+  const applyUpdate = (deadLetter) => {
+    setSelected(deadLetter)
+    setDeadLetters(prev => prev.map(entry => (
+      entry._id === deadLetter._id ? { ...entry, ...deadLetter, body: undefined } : entry
+    )))
+  }
+
+  const bodyChanged = selected && body !== formatBody(selected.body)
+
+  const handleSave = async () => {
+    try {
+      setBusy(true)
+      const response = await api.deadLetters.update(selected._id, body)
+      applyUpdate(response.data.data)
+      setBody(formatBody(response.data.data.body))
+      setBodyError(null)
+      toast.success('Message saved')
+    } catch (error) {
+      console.error('Error saving dead letter:', error)
+      setBodyError(fieldErrorsFromResponse(error).body)
+      toast.error(errorMessage(error, 'Failed to save message'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleReplay = async () => {
+    if (bodyChanged) {
+      toast.error('Save or undo your changes before replaying')
+      return
+    }
+    if (selected.status === 'replayed' && !window.confirm('This message was already replayed. Send it again?')) {
+      return
+    }
+
+    try {
+      setBusy(true)
+      const response = await api.deadLetters.replay(selected._id)
+      applyUpdate(response.data.data)
+      toast.success(`Message replayed to ${selected.queue}`)
+      loadSummary()
+    } catch (error) {
+      console.error('Error replaying dead letter:', error)
+      toast.error(errorMessage(error, 'Failed to replay message'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm('Purge this message? It cannot be replayed afterwards.')) {
+      return
+    }
+
+    try {
+      setBusy(true)
+      await api.deadLetters.delete(selected._id)
+      setDeadLetters(prev => prev.filter(entry => entry._id !== selected._id))
+      setTotal(prev => prev - 1)
+      closeDeadLetter()
+      toast.success('Message purged')
+      loadSummary()
+    } catch (error) {
+      console.error('Error purging dead letter:', error)
+      toast.error(errorMessage(error, 'Failed to purge message'))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handlePurgeAll = async () => {
+    const scope = [filters.status, filters.queue].filter(Boolean).join(' ')
+    if (!window.confirm(`Purge all ${total} ${scope} dead letters? They cannot be replayed afterwards.`)) {
+      return
+    }
+
+    try {
+      const params = {}
+      if (filters.queue) params.queue = filters.queue
+      if (filters.status) params.status = filters.status
+      const response = await api.deadLetters.purge(params)
+      toast.success(`Purged ${response.data.data.deleted} dead letters`)
+      closeDeadLetter()
+      loadDeadLetters()
+    } catch (error) {
+      console.error('Error purging dead letters:', error)
+      toast.error(errorMessage(error, 'Failed to purge dead letters'))
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Dead Letters</h1>
+        <p className="text-gray-600">Messages RabbitMQ and Kafka consumers could not process, to fix and replay or purge</p>
+      </div>
+
+      {/* Queues */}
+      {summary.length > 0 && (
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+          {summary.map((entry) => (
+            <button
+              key={`${entry.source}:${entry.queue}`}
+              onClick={() => setFilters(prev => ({ ...prev, queue: prev.queue === entry.queue ? '' : entry.queue }))}
+              className={`card text-left hover:shadow-md transition-shadow ${filters.queue === entry.queue ? 'ring-2 ring-primary-500' : ''}`}
+            >
+              <p className="text-sm text-gray-500">{sourceLabels[entry.source] || entry.source}</p>
+              <p className="font-semibold text-gray-900">{entry.queue}</p>
+              <p className="mt-2 text-sm text-gray-600">
+                <span className="text-2xl font-bold text-gray-900">{entry.pending}</span> pending
+                <span className="ml-3">{entry.replayed} replayed</span>
+              </p>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 gap-6 xl:grid-cols-2">
+        {/* List */}
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              Messages <span className="text-sm font-normal text-gray-500">({total})</span>
+            </h3>
+            <div className="flex items-center space-x-3">
+              <select
+                value={filters.status}
+                onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+                className="input-field"
+              >
+                <option value="">All statuses</option>
+                <option value="pending">Pending</option>
+                <option value="replayed">Replayed</option>
+              </select>
+              <button onClick={loadDeadLetters} className="btn-secondary" title="Refresh">
+                <RefreshCwIcon className="h-5 w-5" />
+              </button>
+              <button
+                onClick={handlePurgeAll}
+                disabled={total === 0}
+                className="btn-secondary text-red-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Purge all listed messages"
+              >
+                <Trash2Icon className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : deadLetters.length === 0 ? (
+            <div className="text-center py-12">
+              <InboxIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No {filters.status} dead letters{filters.queue ? ` on ${filters.queue}` : ''}</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {deadLetters.map((deadLetter) => (
+                <li key={deadLetter._id}>
+                  <button
+                    onClick={() => openDeadLetter(deadLetter._id)}
+                    className={`w-full text-left py-3 px-2 rounded hover:bg-gray-50 ${selected?._id === deadLetter._id ? 'bg-gray-50' : ''}`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-900">{deadLetter.queue}</span>
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusStyles[deadLetter.status] || 'bg-gray-100 text-gray-800'}`}>
+                        {deadLetter.status}
+                      </span>
+                    </div>
+                    <p className="mt-1 text-sm text-red-600 line-clamp-1">{deadLetter.error || deadLetter.reason}</p>
+                    <p className="mt-1 text-xs text-gray-500">
+                      {sourceLabels[deadLetter.source] || deadLetter.source} · {deadLetter.reason} · failed {formatTime(deadLetter.failedAt)}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {!loading && nextCursor && (
+            <div className="flex justify-center mt-4">
+              <button
+                onClick={loadMore}
+                disabled={loadingMore}
+                className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Selected message */}
+        {selected && (
+          <div className="card space-y-4">
+            <div className="flex items-start justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">{selected.queue}</h3>
+                <p className="text-sm text-gray-500">
+                  From {selected.deadLetterQueue}
+                  {selected.source === 'kafka' && ` partition ${selected.dlqPartition} offset ${selected.dlqOffset}`}
+                </p>
+              </div>
+              <button onClick={closeDeadLetter} className="text-gray-400 hover:text-gray-600" title="Close">
+                <XIcon className="h-5 w-5" />
+              </button>
+            </div>
+
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+              <dt className="text-gray-500">Rejected by</dt>
+              <dd className="text-gray-900">{selected.reason}</dd>
+              <dt className="text-gray-500">Failed</dt>
+              <dd className="text-gray-900">{formatTime(selected.failedAt)}{selected.deathCount > 1 && ` (${selected.deathCount} times)`}</dd>
+              {selected.key && (
+                <>
+                  <dt className="text-gray-500">Key</dt>
+                  <dd className="text-gray-900 font-mono break-all">{selected.key}</dd>
+                </>
+              )}
+              {selected.editedAt && (
+                <>
+                  <dt className="text-gray-500">Edited</dt>
+                  <dd className="text-gray-900">{formatTime(selected.editedAt)}</dd>
+                </>
+              )}
+              {selected.replayCount > 0 && (
+                <>
+                  <dt className="text-gray-500">Replayed</dt>
+                  <dd className="text-gray-900">{formatTime(selected.replayedAt)} ({selected.replayCount}×)</dd>
+                </>
+              )}
+            </dl>
+
+            {selected.error && (
+              <p className="rounded bg-red-50 p-3 text-sm text-red-700 break-words">{selected.error}</p>
+            )}
+
+            {Object.keys(selected.headers || {}).length > 0 && (
+              <div>
+                <p className="block text-sm font-medium text-gray-700 mb-2">Headers</p>
+                <pre className="rounded bg-gray-50 p-3 text-xs text-gray-700 overflow-x-auto">
+                  {JSON.stringify(selected.headers, null, 2)}
+                </pre>
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="body" className="block text-sm font-medium text-gray-700 mb-2">
+                Body {selected.contentType && <span className="font-normal text-gray-500">({selected.contentType})</span>}
+              </label>
+              <textarea
+                id="body"
+                rows={12}
+                value={body}
+                onChange={(e) => {
+                  setBody(e.target.value)
+                  setBodyError(null)
+                }}
+                readOnly={selected.status !== 'pending'}
+                className="input-field font-mono text-xs"
+              />
+              <FieldError message={bodyError} />
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              {selected.status === 'pending' && (
+                <button
+                  onClick={handleSave}
+                  disabled={busy || !bodyChanged}
+                  className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <SaveIcon className="h-5 w-5 mr-2" />
+                  Save
+                </button>
+              )}
+              <button
+                onClick={handleReplay}
+                disabled={busy}
+                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <PlayIcon className="h-5 w-5 mr-2" />
+                {selected.status === 'replayed' ? 'Replay again' : 'Replay'}
+              </button>
+              <button
+                onClick={handleDelete}
+                disabled={busy}
+                className="btn-secondary text-red-600 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Trash2Icon className="h-5 w-5 mr-2" />
+                Purge
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default DeadLetters
@@ -0,0 +1,309 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import { ArrowLeftIcon, SaveIcon } from 'lucide-react'
+import { api } from '../services/api'
+import { fieldErrorsFromResponse } from '../services/validation'
+import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
+import FieldError from '../components/FieldError'
+import ConflictDialog from '../components/ConflictDialog'
+
+const FIELDS = [
+  { field: 'name', label: 'Name' },
+  { field: 'description', label: 'Description' },
+  { field: 'price', label: 'Price' },
+  { field: 'category', label: 'Category' },
+]
+
+const toForm = (item) => ({
+  name: item.name || '',
+  description: item.description || '',
+  price: item.price === undefined || item.price === null ? '' : String(item.price),
+  category: item.category || '',
+})
+
+// Form values as stored by the API; blank optional fields are null
+const toValues = (form) => ({
+  name: form.name.trim(),
+  description: form.description.trim() || null,
+  price: form.price === '' ? null : Number(form.price),
+  category: form.category.trim() || null,
+})
+
+const valuesOf = (item) => toValues(toForm(item))
+
+// JSON Merge Patch turning base into values
+const diffValues = (base, values) => FIELDS.reduce((patch, { field }) => {
+  if (values[field] !== base[field]) {
+    patch[field] = values[field]
+  }
+  return patch
+}, {})
+
+function EditItem() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [item, setItem] = useState(null)
+  const [formData, setFormData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  // Field problems from the server's 400 response
+  const [errors, setErrors] = useState({})
+  const [latest, setLatest] = useState(null)
+
+  const loadItem = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await api.items.getById(id)
+      setItem(response.data.data)
+      setFormData(toForm(response.data.data))
+    } catch (error) {
+      console.error('Error loading item:', error)
+      toast.error(errorMessage(error, 'Failed to load item'))
+      navigate('/items')
+    } finally {
+      setLoading(false)
+    }
+  }, [id, navigate])
+
+  useEffect(() => {
+    loadItem()
+  }, [loadItem])
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }))
+    setErrors(prev => ({ ...prev, [name]: undefined }))
+  }
+
+  // Someone saved first: fetch their version and let the user compare
+  const handleConflict = async () => {
+    try {
+      const response = await api.items.getById(id)
+      const current = response.data.data
+      const mine = toValues(formData)
+      const theirs = valuesOf(current)
+      if (Object.keys(diffValues(theirs, mine)).length === 0) {
+        // They made the same changes
+        toast.success('Item saved')
+        navigate(`/items/${id}`)
+        return
+      }
+      setLatest(current)
+    } catch (error) {
+      console.error('Error loading latest item:', error)
+      toast.error(errorMessage(error, 'The item changed and could not be reloaded'))
+      if (error.response?.status === 404) {
+        navigate('/items')
+      }
+    }
+  }
+
+  // Save the form as a patch against base, the version the user edited
+  const save = async (base) => {
+    const patch = diffValues(valuesOf(base), toValues(formData))
+    if (Object.keys(patch).length === 0) {
+      toast('No changes to save')
+      navigate(`/items/${id}`)
+      return
+    }
+
+    try {
+      setSaving(true)
+      await api.items.patch(id, patch, base.version)
+      toast.success('Item updated successfully!')
+      navigate(`/items/${id}`)
+    } catch (error) {
+      if (error.response?.status === 412) {
+        await handleConflict()
+        return
+      }
+      console.error('Error updating item:', error)
+      setErrors(fieldErrorsFromResponse(error))
+      toast.error(errorMessage(error, 'Failed to update item'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    save(item)
+  }
+
+  // Continue from the current version, keeping the user's edits
+  const rebase = () => {
+    setItem(latest)
+    setLatest(null)
+  }
+
+  const keepMine = () => {
+    const current = latest
+    rebase()
+    save(current)
+  }
+
+  const discardMine = () => {
+    setFormData(toForm(latest))
+    rebase()
+  }
+
+  const conflictRows = () => {
+    const base = valuesOf(item)
+    const mine = toValues(formData)
+    const theirs = valuesOf(latest)
+    return FIELDS
+      .filter(({ field }) => mine[field] !== theirs[field])
+      .map(({ field, label }) => ({
+        field,
+        label,
+        base: base[field],
+        mine: mine[field],
+        theirs: theirs[field],
+      }))
+  }
+
+  if (loading || !formData) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-4">
+        <Link
+          to={`/items/${id}`}
+          className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100"
+        >
+          <ArrowLeftIcon className="h-5 w-5" />
+        </Link>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Edit Item</h1>
+          <p className="text-gray-600">{item.name}</p>
+        </div>
+      </div>
+
+      {/* Form */}
+      <div className="max-w-2xl">
+        <form onSubmit={handleSubmit} className="card space-y-6">
+          <div>
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">
+              Item Name *
+            </label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              className="input-field"
+              required
+            />
+            <FieldError message={errors.name} />
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">
+              Description
+            </label>
+            <textarea
+              id="description"
+              name="description"
+              value={formData.description}
+              onChange={handleInputChange}
+              rows={4}
+              className="input-field resize-none"
+            />
+            <FieldError message={errors.description} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label htmlFor="price" className="block text-sm font-medium text-gray-700 mb-2">
+                Price
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <span className="text-gray-500 sm:text-sm">$</span>
+                </div>
+                <input
+                  type="number"
+                  id="price"
+                  name="price"
+                  value={formData.price}
+                  onChange={handleInputChange}
+                  placeholder="0.00"
+                  min="0"
+                  step="0.01"
+                  className="input-field pl-7"
+                />
+              </div>
+              <FieldError message={errors.price} />
+            </div>
+
+            <div>
+              <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-2">
+                Category
+              </label>
+              <input
+                type="text"
+                id="category"
+                name="category"
+                value={formData.category}
+                onChange={handleInputChange}
+                className="input-field"
+              />
+              <FieldError message={errors.category} />
+            </div>
+          </div>
+
+          {/* Form Actions */}
+          <div className="flex items-center justify-between pt-6 border-t border-gray-200">
+            <Link
+              to={`/items/${id}`}
+              className="btn-secondary"
+            >
+              Cancel
+            </Link>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? (
+                <div className="flex items-center">
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                  Saving...
+                </div>
+              ) : (
+                <div className="flex items-center">
+                  <SaveIcon className="h-5 w-5 mr-2" />
+                  Save Changes
+                </div>
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {latest && (
+        <ConflictDialog
+          rows={conflictRows()}
+          saving={saving}
+          onKeepMine={keepMine}
+          onUseTheirs={discardMine}
+          onCancel={rebase}
+        />
+      )}
+    </div>
+  )
+}
+
+export default EditItem
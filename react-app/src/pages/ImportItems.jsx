@@ -0,0 +1,251 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeftIcon, UploadIcon, DownloadIcon, AlertTriangleIcon } from 'lucide-react'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
+import { saveFile } from '../services/download'
+
+const FORMATS = {
+  csv: 'csv',
+  json: 'json',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson',
+}
+
+const formatOf = (file) => FORMATS[file.name.split('.').pop().toLowerCase()] || null
+
+const statusStyles = {
+  created: 'bg-green-100 text-green-800',
+  valid: 'bg-green-100 text-green-800',
+  invalid: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+}
+
+const describeErrors = (errors = []) => errors
+  .map(({ field, message }) => (field ? `${field} ${message}` : message))
+  .join('; ')
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Same columns as the report=csv download of the API
+const downloadReport = (report, fileName) => {
+  const lines = [['row', 'status', 'id', 'errors']]
+  report.rows.forEach(({ row, status, id, errors }) => {
+    lines.push([row, status, id, describeErrors(errors)])
+  })
+  const csv = `${lines.map(line => line.map(csvCell).join(',')).join('\n')}\n`
+  saveFile(csv, `${fileName.replace(/\.[^.]+$/, '')}-report.csv`, 'text/csv')
+}
+
+function ImportItems() {
+  const [file, setFile] = useState(null)
+  const [dryRun, setDryRun] = useState(true)
+  const [loading, setLoading] = useState(false)
+  const [report, setReport] = useState(null)
+  const [showAllRows, setShowAllRows] = useState(false)
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null)
+    setReport(null)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const format = formatOf(file)
+    if (!format) {
+      toast.error('Choose a .csv, .json or .ndjson file')
+      return
+    }
+
+    try {
+      setLoading(true)
+      const response = await api.items.import(file, { format, dryRun })
+      const result = response.data.data
+      setReport(result)
+      setShowAllRows(false)
+
+      if (result.dryRun) {
+        toast.success(`${result.valid} of ${result.total} rows are valid`)
+      } else {
+        toast.success(`Imported ${result.created} of ${result.total} rows`)
+      }
+    } catch (error) {
+      console.error('Error importing items:', error)
+      toast.error(errorMessage(error, 'Failed to import items'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const visibleRows = report
+    ? report.rows.filter(row => showAllRows || row.status === 'invalid' || row.status === 'failed')
+    : []
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-4">
+        <Link
+          to="/items"
+          className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100"
+        >
+          <ArrowLeftIcon className="h-5 w-5" />
+        </Link>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Import Items</h1>
+          <p className="text-gray-600">Add items from a CSV, JSON or NDJSON file</p>
+        </div>
+      </div>
+
+      {/* Upload */}
+      <div className="max-w-2xl">
+        <form onSubmit={handleSubmit} className="card space-y-6">
+          <div>
+            <label htmlFor="file" className="block text-sm font-medium text-gray-700 mb-2">
+              File
+            </label>
+            <input
+              type="file"
+              id="file"
+              accept=".csv,.json,.ndjson,.jsonl"
+              onChange={handleFileChange}
+              className="input-field"
+            />
+            <p className="mt-2 text-sm text-gray-500">
+              CSV files need a header row with <code>name</code>, <code>description</code>,{' '}
+              <code>price</code> and <code>category</code> columns; JSON files hold an array of
+              items and NDJSON files one item per line.
+            </p>
+          </div>
+
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={dryRun}
+              onChange={(e) => setDryRun(e.target.checked)}
+              className="mr-2"
+            />
+            Dry run: only check the rows, don&apos;t create items
+          </label>
+
+          <div className="flex items-center justify-end pt-6 border-t border-gray-200">
+            <button
+              type="submit"
+              disabled={!file || loading}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? (
+                <div className="flex items-center">
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                  {dryRun ? 'Checking...' : 'Importing...'}
+                </div>
+              ) : (
+                <div className="flex items-center">
+                  <UploadIcon className="h-5 w-5 mr-2" />
+                  {dryRun ? 'Check File' : 'Import Items'}
+                </div>
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Report */}
+      {report && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {report.dryRun ? 'Dry Run Report' : 'Import Report'}
+            </h2>
+            <button onClick={() => downloadReport(report, file.name)} className="btn-secondary">
+              <DownloadIcon className="h-5 w-5 mr-2" />
+              Download Report
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <div>
+              <p className="text-sm text-gray-600">Rows</p>
+              <p className="text-2xl font-bold text-gray-900">{report.total}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">{report.dryRun ? 'Valid' : 'Created'}</p>
+              <p className="text-2xl font-bold text-green-600">
+                {report.dryRun ? report.valid : report.created}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Invalid</p>
+              <p className="text-2xl font-bold text-yellow-600">{report.invalid}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Failed</p>
+              <p className="text-2xl font-bold text-red-600">{report.failed}</p>
+            </div>
+          </div>
+
+          {report.aborted && (
+            <div className="flex items-start p-3 mb-6 rounded-lg bg-yellow-50 text-sm text-yellow-800">
+              <AlertTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+              {report.aborted}
+            </div>
+          )}
+
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-gray-600">
+              {showAllRows ? 'All rows' : 'Rows with problems'}
+            </p>
+            <button
+              onClick={() => setShowAllRows(!showAllRows)}
+              className="text-sm text-primary-600 hover:text-primary-800"
+            >
+              {showAllRows ? 'Only show problems' : 'Show all rows'}
+            </button>
+          </div>
+
+          {visibleRows.length === 0 ? (
+            <p className="text-sm text-gray-600">Every row was accepted</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-left text-gray-500">
+                    <th className="py-2 pr-4 font-medium">Row</th>
+                    <th className="py-2 pr-4 font-medium">Status</th>
+                    <th className="py-2 font-medium">Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map((row) => (
+                    <tr key={row.row} className="border-b border-gray-100 align-top">
+                      <td className="py-2 pr-4 text-gray-900">{row.row}</td>
+                      <td className="py-2 pr-4">
+                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[row.status]}`}>
+                          {row.status}
+                        </span>
+                      </td>
+                      <td className="py-2 text-gray-700 break-words">
+                        {row.id ? (
+                          <Link to={`/items/${row.id}`} className="text-primary-600 hover:text-primary-800">
+                            {row.id}
+                          </Link>
+                        ) : describeErrors(row.errors)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ImportItems
@@ -1,47 +1,119 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { useParams, useNavigate, Link } from 'react-router-dom'
-import { ArrowLeftIcon, EditIcon, TrashIcon, CalendarIcon, TagIcon, DollarSignIcon } from 'lucide-react'
+import { ArrowLeftIcon, EditIcon, TrashIcon, CalendarIcon, TagIcon, DollarSignIcon, RefreshCwIcon } from 'lucide-react'
 import { api } from '../services/api'
+import DeliveryTimeline from '../components/DeliveryTimeline'
+import RevisionTimeline from '../components/RevisionTimeline'
+import { hasRole } from '../services/session'
+import UndoToast from '../components/UndoToast'
 import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
 
 function ItemDetail() {
   const { id } = useParams()
   const navigate = useNavigate()
   const [item, setItem] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [deliveries, setDeliveries] = useState([])
+  const [deliveriesLoading, setDeliveriesLoading] = useState(false)
+  const [revisions, setRevisions] = useState([])
+  const [reverting, setReverting] = useState(false)
 
-  useEffect(() => {
-    if (id) {
-      loadItem()
-    }
-  }, [id])
-
-  const loadItem = async () => {
+  const loadItem = useCallback(async () => {
     try {
       setLoading(true)
       const response = await api.items.getById(id)
       setItem(response.data.data)
     } catch (error) {
       console.error('Error loading item:', error)
-      toast.error('Failed to load item details')
+      toast.error(errorMessage(error, 'Failed to load item details'))
       navigate('/items')
     } finally {
       setLoading(false)
     }
+  }, [id, navigate])
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      setDeliveriesLoading(true)
+      const response = await api.items.getDeliveries(id)
+      setDeliveries(response.data.data || [])
+    } catch (error) {
+      console.error('Error loading deliveries:', error)
+    } finally {
+      setDeliveriesLoading(false)
+    }
+  }, [id])
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const response = await api.items.getHistory(id)
+      setRevisions(response.data.data || [])
+    } catch (error) {
+      console.error('Error loading history:', error)
+    }
+  }, [id])
+
+  useEffect(() => {
+    if (id) {
+      loadItem()
+      loadDeliveries()
+      loadHistory()
+    }
+  }, [id, loadItem, loadDeliveries, loadHistory])
+
+  const revertTo = async (revision) => {
+    if (!window.confirm(`Revert this item to revision ${revision}?`)) {
+      return
+    }
+
+    try {
+      setReverting(true)
+      const response = await api.items.revert(id, revision, item.version)
+      setItem(response.data.data)
+      toast.success(`Reverted to revision ${revision}`)
+      loadHistory()
+      loadDeliveries()
+    } catch (error) {
+      console.error('Error reverting item:', error)
+      toast.error(errorMessage(error, 'Failed to revert item'))
+      if (error.response?.status === 412) {
+        loadItem()
+        loadHistory()
+      }
+    } finally {
+      setReverting(false)
+    }
+  }
+
+  const restoreItem = async () => {
+    try {
+      await api.items.restore(id)
+      toast.success('Item restored')
+      navigate(`/items/${id}`)
+    } catch (error) {
+      console.error('Error restoring item:', error)
+      toast.error(errorMessage(error, 'Failed to restore item'))
+    }
   }
 
   const deleteItem = async () => {
-    if (!window.confirm('Are you sure you want to delete this item?')) {
+    if (!window.confirm('Move this item to the trash?')) {
       return
     }
 
     try {
-      await api.items.delete(id)
-      toast.success('Item deleted successfully!')
+      await api.items.delete(id, item.version)
+      toast((t) => (
+        <UndoToast t={t} message="Item moved to trash" onUndo={restoreItem} />
+      ), { duration: 8000 })
       navigate('/items')
     } catch (error) {
       console.error('Error deleting item:', error)
-      toast.error('Failed to delete item')
+      toast.error(errorMessage(error, 'Failed to delete item'))
+      if (error.response?.status === 412) {
+        loadItem()
+      }
     }
   }
 
@@ -142,6 +214,32 @@ function ItemDetail() {
               </div>
             </div>
           </div>
+
+          {/* Event Deliveries */}
+          <div className="card mt-6">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-semibold text-gray-900">Processed By</h2>
+              <button
+                onClick={loadDeliveries}
+                disabled={deliveriesLoading}
+                className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+              >
+                <RefreshCwIcon className={`h-5 w-5 ${deliveriesLoading ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+            <DeliveryTimeline deliveries={deliveries} />
+          </div>
+
+          {/* Revision History */}
+          <div className="card mt-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-6">History</h2>
+            <RevisionTimeline
+              revisions={revisions}
+              currentVersion={item.version}
+              reverting={reverting}
+              onRevert={hasRole('editor') ? revertTo : undefined}
+            />
+          </div>
         </div>
 
         {/* Meta Info */}
@@ -1,81 +1,265 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { Link } from 'react-router-dom'
-import { Search, PlusCircle, Edit, Trash, Package } from 'lucide-react'
+import { Search, PlusCircle, Edit, Trash, Package, Download } from 'lucide-react'
 import { api } from '../services/api'
 import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
+import UndoToast from '../components/UndoToast'
+import Highlight from '../components/Highlight'
+import FacetChips from '../components/FacetChips'
+import NewItemsPill from '../components/NewItemsPill'
+import LiveIndicator from '../components/LiveIndicator'
+import { saveFile, fileNameFrom } from '../services/download'
+import { useItemEvents } from '../services/liveEvents'
+
+const PAGE_SIZE = 24
+const SEARCH_DELAY = 300
+
+const emptyFilters = {
+  category: '',
+  minPrice: '',
+  maxPrice: '',
+  createdFrom: '',
+  createdTo: '',
+  sort: '-createdAt'
+}
+
+const DATE_RANGE_LABELS = {
+  today: 'Today',
+  week: 'Last 7 days',
+  month: 'Last 30 days',
+  year: 'Last 365 days',
+}
+
+const formatPrice = (price) => `$${price.toLocaleString()}`
+
+const priceLabel = ({ min, max }) => (max === null ? `${formatPrice(min)}+` : `${formatPrice(min)}–${formatPrice(max)}`)
+
+// Buckets hold min <= price < max and the price filters are inclusive, so the
+// upper bound stops a cent below the next bucket
+const priceFilterOf = ({ min, max }) => ({
+  minPrice: String(min),
+  maxPrice: max === null ? '' : (max - 0.01).toFixed(2),
+})
+
+const EXPORT_OPTIONS = [
+  { label: 'CSV', params: { format: 'csv' }, extension: 'csv' },
+  { label: 'CSV for Excel', params: { format: 'csv', excel: true }, extension: 'csv' },
+  { label: 'NDJSON', params: { format: 'ndjson' }, extension: 'ndjson' },
+  { label: 'JSON', params: { format: 'json' }, extension: 'json' },
+]
 
 function Items() {
   const [items, setItems] = useState([])
-  const [filteredItems, setFilteredItems] = useState([])
   const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [total, setTotal] = useState(0)
+  const [facets, setFacets] = useState(null)
   const [searchQuery, setSearchQuery] = useState('')
-  const [selectedCategory, setSelectedCategory] = useState('')
+  const [search, setSearch] = useState('')
+  const [filters, setFilters] = useState(emptyFilters)
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  const [exporting, setExporting] = useState(false)
+  // Items created or restored elsewhere since the list was loaded, and
+  // whether live updates were missed
+  const [newItems, setNewItems] = useState(0)
+  const [stale, setStale] = useState(false)
+  // Only the latest request may replace the list, typing sends several
+  const latestRequest = useRef(0)
 
   useEffect(() => {
     loadItems()
-  }, [])
+  }, [filters, search])
 
+  // Search once typing pauses
   useEffect(() => {
-    filterItems()
-  }, [items, searchQuery, selectedCategory])
+    const timer = setTimeout(() => setSearch(searchQuery.trim()), SEARCH_DELAY)
+    return () => clearTimeout(timer)
+  }, [searchQuery])
+
+  const buildFilterParams = () => {
+    const params = { sort: filters.sort }
+    if (filters.category) params.category = filters.category
+    if (filters.minPrice !== '') params.minPrice = filters.minPrice
+    if (filters.maxPrice !== '') params.maxPrice = filters.maxPrice
+    // Date filters are UTC days (see services/dates), from their first to their last millisecond
+    if (filters.createdFrom) params.createdFrom = `${filters.createdFrom}T00:00:00.000Z`
+    if (filters.createdTo) params.createdTo = `${filters.createdTo}T23:59:59.999Z`
+    return params
+  }
+
+  // A page of the list, or of the search results (ranked, so without sort)
+  const fetchPage = (after) => {
+    const { sort, ...filterParams } = buildFilterParams()
+    const params = { ...filterParams, limit: PAGE_SIZE }
+    // The facet counts only change with the filters, not with further pages
+    if (after) params.after = after
+    else params.facets = true
+    return search
+      ? api.items.search({ ...params, q: search })
+      : api.items.getAll({ ...params, sort })
+  }
 
   const loadItems = async () => {
+    const request = ++latestRequest.current
     try {
       setLoading(true)
-      const response = await api.items.getAll()
-      setItems(response.data.data || [])
+      const response = await fetchPage()
+      if (request !== latestRequest.current) return
+      const page = response.data.data || []
+      setItems(page)
+      setNextCursor(response.data.nextCursor || null)
+      setTotal(response.data.total ?? page.length)
+      setFacets(response.data.facets || null)
+      setNewItems(0)
+      setStale(false)
     } catch (error) {
+      if (request !== latestRequest.current) return
       console.error('Error loading items:', error)
-      toast.error('Failed to load items')
+      toast.error(errorMessage(error, 'Failed to load items'))
     } finally {
-      setLoading(false)
+      if (request === latestRequest.current) {
+        setLoading(false)
+      }
     }
   }
 
-  const filterItems = () => {
-    let filtered = items
+  const loadMore = async () => {
+    if (!nextCursor) return
 
-    if (searchQuery) {
-      filtered = filtered.filter(item =>
-        item.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        item.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        item.category.toLowerCase().includes(searchQuery.toLowerCase())
-      )
+    const request = latestRequest.current
+    try {
+      setLoadingMore(true)
+      const response = await fetchPage(nextCursor)
+      if (request !== latestRequest.current) return
+      const page = response.data.data || []
+      setItems(prev => [...prev, ...page])
+      setNextCursor(response.data.nextCursor || null)
+    } catch (error) {
+      console.error('Error loading more items:', error)
+      toast.error(errorMessage(error, 'Failed to load more items'))
+    } finally {
+      setLoadingMore(false)
     }
+  }
+
+  // Edits and deletions show up in place; new items wait behind the pill so
+  // the list does not shift while someone is reading it
+  const live = useItemEvents((type, event) => {
+    const item = event.payload
+    const isListed = (id) => items.some(existing => existing._id === id)
 
-    if (selectedCategory) {
-      filtered = filtered.filter(item => item.category === selectedCategory)
+    if (type === 'item_created' || type === 'item_restored') {
+      if (!isListed(item._id)) setNewItems(count => count + 1)
+    } else if (type === 'item_updated') {
+      // Highlights may no longer fit the changed text, so they are dropped
+      setItems(prev => prev.map(existing => (
+        existing._id === item._id && item.version >= (existing.version || 0)
+          ? { ...existing, ...item, highlights: undefined }
+          : existing
+      )))
+    } else if (type === 'item_deleted') {
+      if (isListed(item.id)) {
+        setItems(prev => prev.filter(existing => existing._id !== item.id))
+        setTotal(count => Math.max(0, count - 1))
+      }
+    } else if (type === 'reset') {
+      setStale(true)
     }
+  })
 
-    setFilteredItems(filtered)
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }))
   }
 
-  const deleteItem = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this item?')) {
-      return
+  const updateFilters = (changes) => {
+    setFilters(prev => ({ ...prev, ...changes }))
+  }
+
+  // Facet options, keeping the chosen category listed when nothing matches it
+  const categoryOptions = () => {
+    const options = facets?.categories || []
+    if (filters.category && !options.some(option => option.value === filters.category)) {
+      return [...options, { value: filters.category, count: 0 }]
     }
+    return options
+  }
+
+  const priceOptions = () => (facets?.prices || []).map(bucket => {
+    const filter = priceFilterOf(bucket)
+    return {
+      key: String(bucket.min),
+      label: priceLabel(bucket),
+      count: bucket.count,
+      active: filters.minPrice === filter.minPrice && filters.maxPrice === filter.maxPrice,
+      filter,
+    }
+  })
+
+  const dateOptions = () => (facets?.created || []).map(range => {
+    const createdFrom = range.from.slice(0, 10)
+    return {
+      key: range.key,
+      label: DATE_RANGE_LABELS[range.key] || range.key,
+      count: range.count,
+      active: filters.createdFrom === createdFrom && !filters.createdTo,
+      filter: { createdFrom, createdTo: '' },
+    }
+  })
+
+  const hasActiveFilters = searchQuery ||
+    Object.keys(emptyFilters).some(key => key !== 'sort' && filters[key] !== emptyFilters[key])
 
+  // Downloads every item matching the filters, not just the loaded pages
+  const exportItems = async ({ params, extension }) => {
+    setShowExportMenu(false)
     try {
-      await api.items.delete(id)
-      toast.success('Item deleted successfully!')
-      loadItems()
+      setExporting(true)
+      const response = await api.items.export({
+        ...buildFilterParams(),
+        ...(search && { q: search }),
+        ...params,
+      })
+      saveFile(response.data, fileNameFrom(response.headers, `items.${extension}`))
     } catch (error) {
-      console.error('Error deleting item:', error)
-      toast.error('Failed to delete item')
+      console.error('Error exporting items:', error)
+      toast.error(errorMessage(error, 'Failed to export items'))
+    } finally {
+      setExporting(false)
     }
   }
 
-  const getUniqueCategories = () => {
-    const categories = [...new Set(items.map(item => item.category).filter(Boolean))]
-    return categories.sort()
+  const restoreItem = async (id) => {
+    try {
+      await api.items.restore(id)
+      toast.success('Item restored')
+      loadItems()
+    } catch (error) {
+      console.error('Error restoring item:', error)
+      toast.error(errorMessage(error, 'Failed to restore item'))
+    }
   }
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
-      </div>
-    )
+  const deleteItem = async (id, version) => {
+    if (!window.confirm('Move this item to the trash?')) {
+      return
+    }
+
+    try {
+      await api.items.delete(id, version)
+      toast((t) => (
+        <UndoToast t={t} message="Item moved to trash" onUndo={() => restoreItem(id)} />
+      ), { duration: 8000 })
+      loadItems()
+    } catch (error) {
+      console.error('Error deleting item:', error)
+      toast.error(errorMessage(error, 'Failed to delete item'))
+      if (error.response?.status === 412) {
+        // Show the item as it is now before anyone tries again
+        loadItems()
+      }
+    }
   }
 
   return (
@@ -84,49 +268,141 @@ function Items() {
       <div className="flex items-center justify-between">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">Items</h1>
-          <p className="text-gray-600">Manage your items</p>
+          <p className="text-gray-600 flex items-center gap-3">
+            Manage your items
+            <LiveIndicator connected={live} />
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <div className="relative">
+            <button
+              onClick={() => setShowExportMenu(!showExportMenu)}
+              disabled={exporting}
+              className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Download className="h-5 w-5 mr-2" />
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+            {showExportMenu && (
+              <div className="absolute right-0 z-10 mt-2 w-44 rounded-lg bg-white py-1 shadow-lg ring-1 ring-gray-200">
+                {EXPORT_OPTIONS.map(option => (
+                  <button
+                    key={option.label}
+                    onClick={() => exportItems(option)}
+                    className="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <Link to="/create-item" className="btn-primary">
+            <PlusCircle className="h-5 w-5 mr-2" />
+            Create Item
+          </Link>
         </div>
-        <Link to="/create-item" className="btn-primary">
-          <PlusCircle className="h-5 w-5 mr-2" />
-          Create Item
-        </Link>
       </div>
 
       {/* Filters */}
       <div className="card">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="relative">
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
             <input
               type="text"
-              placeholder="Search items..."
+              placeholder='Search items, "exact phrase", -exclude'
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               className="input-field pl-10"
             />
           </div>
           <select
-            value={selectedCategory}
-            onChange={(e) => setSelectedCategory(e.target.value)}
+            value={filters.category}
+            onChange={(e) => updateFilter('category', e.target.value)}
             className="input-field"
           >
             <option value="">All Categories</option>
-            {getUniqueCategories().map(category => (
-              <option key={category} value={category}>
-                {category}
+            {categoryOptions().map(({ value, count }) => (
+              <option key={value} value={value}>
+                {value} ({count})
               </option>
             ))}
           </select>
+          <select
+            value={filters.sort}
+            onChange={(e) => updateFilter('sort', e.target.value)}
+            disabled={Boolean(search)}
+            title={search ? 'Search results are sorted by relevance' : undefined}
+            className="input-field disabled:opacity-50"
+          >
+            <option value="-createdAt">Newest first</option>
+            <option value="createdAt">Oldest first</option>
+            <option value="-updatedAt">Recently updated</option>
+            <option value="name">Name (A-Z)</option>
+            <option value="-name">Name (Z-A)</option>
+            <option value="price">Price (low to high)</option>
+            <option value="-price">Price (high to low)</option>
+          </select>
         </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Min price"
+            value={filters.minPrice}
+            onChange={(e) => updateFilter('minPrice', e.target.value)}
+            className="input-field"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Max price"
+            value={filters.maxPrice}
+            onChange={(e) => updateFilter('maxPrice', e.target.value)}
+            className="input-field"
+          />
+          <input
+            type="date"
+            title="Created from"
+            value={filters.createdFrom}
+            onChange={(e) => updateFilter('createdFrom', e.target.value)}
+            className="input-field"
+          />
+          <input
+            type="date"
+            title="Created to"
+            value={filters.createdTo}
+            onChange={(e) => updateFilter('createdTo', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        {facets && (
+          <div className="mt-4 space-y-3">
+            <FacetChips
+              label="Price"
+              options={priceOptions()}
+              onSelect={(option) => updateFilters(option ? option.filter : { minPrice: '', maxPrice: '' })}
+            />
+            <FacetChips
+              label="Created"
+              options={dateOptions()}
+              onSelect={(option) => updateFilters(option ? option.filter : { createdFrom: '', createdTo: '' })}
+            />
+          </div>
+        )}
         <div className="mt-4 flex items-center justify-between">
           <p className="text-sm text-gray-600">
-            Showing {filteredItems.length} of {items.length} items
+            Showing {items.length} of {total} items
+            {search && ', most relevant first'}
           </p>
-          {(searchQuery || selectedCategory) && (
+          {hasActiveFilters && (
             <button
               onClick={() => {
                 setSearchQuery('')
-                setSelectedCategory('')
+                setFilters(prev => ({ ...emptyFilters, sort: prev.sort }))
               }}
               className="text-primary-600 hover:text-primary-700 text-sm font-medium"
             >
@@ -136,20 +412,26 @@ function Items() {
         </div>
       </div>
 
+      <NewItemsPill count={newItems} stale={stale} onClick={loadItems} />
+
       {/* Items Grid */}
-      {filteredItems.length === 0 ? (
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : items.length === 0 ? (
         <div className="card text-center py-12">
           <div className="text-gray-400 mb-4">
             <Package className="h-16 w-16 mx-auto" />
           </div>
           <h3 className="text-lg font-medium text-gray-900 mb-2">No items found</h3>
           <p className="text-gray-600 mb-6">
-            {items.length === 0 
+            {total === 0 && !hasActiveFilters
               ? "Get started by creating your first item"
               : "Try adjusting your search or filter criteria"
             }
           </p>
-          {items.length === 0 && (
+          {total === 0 && !hasActiveFilters && (
             <Link to="/create-item" className="btn-primary">
               Create your first item
             </Link>
@@ -157,22 +439,22 @@ function Items() {
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-          {filteredItems.map((item) => (
+          {items.map((item) => (
             <div key={item._id} className="card hover:shadow-lg transition-shadow">
               <div className="flex items-start justify-between mb-4">
                 <div className="flex-1">
                   <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                    {item.name}
+                    <Highlight segments={item.highlights?.name} text={item.name} />
                   </h3>
                   <p className="text-gray-600 text-sm mb-3 line-clamp-2">
-                    {item.description}
+                    <Highlight segments={item.highlights?.description} text={item.description} />
                   </p>
                 </div>
               </div>
               
               <div className="flex items-center justify-between mb-4">
                 <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
-                  {item.category || 'Uncategorized'}
+                  <Highlight segments={item.highlights?.category} text={item.category || 'Uncategorized'} />
                 </span>
                 <span className="text-lg font-bold text-green-600">
                   ${item.price}
@@ -194,7 +476,7 @@ function Items() {
                     <Edit className="h-4 w-4" />
                   </Link>
                   <button
-                    onClick={() => deleteItem(item._id)}
+                    onClick={() => deleteItem(item._id, item.version)}
                     className="p-1 text-gray-400 hover:text-red-600"
                   >
                     <Trash className="h-4 w-4" />
@@ -209,6 +491,19 @@ function Items() {
           ))}
         </div>
       )}
+
+      {/* Pagination */}
+      {!loading && nextCursor && (
+        <div className="flex justify-center">
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
     </div>
   )
 }
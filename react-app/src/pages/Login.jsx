@@ -0,0 +1,108 @@
+import { useState } from 'react'
+import { useNavigate, useLocation } from 'react-router-dom'
+import { LogInIcon } from 'lucide-react'
+import { api } from '../services/api'
+import { saveSession } from '../services/session'
+import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
+
+function Login() {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [loading, setLoading] = useState(false)
+  const [credentials, setCredentials] = useState({
+    email: '',
+    password: ''
+  })
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target
+    setCredentials(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    try {
+      setLoading(true)
+      const response = await api.auth.login(credentials)
+      saveSession(response.data.data)
+      toast.success(`Welcome, ${response.data.data.user.name || response.data.data.user.email}!`)
+      navigate(location.state?.from || '/', { replace: true })
+    } catch (error) {
+      console.error('Error logging in:', error)
+      toast.error(errorMessage(error, 'Failed to log in'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="w-full max-w-md">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Microservices</h1>
+          <p className="text-gray-600">Sign in to manage your items</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="card space-y-6">
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+              Email
+            </label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={credentials.email}
+              onChange={handleInputChange}
+              placeholder="you@example.com"
+              className="input-field"
+              autoComplete="username"
+              required
+            />
+          </div>
+
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+              Password
+            </label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={credentials.password}
+              onChange={handleInputChange}
+              className="input-field"
+              autoComplete="current-password"
+              required
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? (
+              <div className="flex items-center justify-center">
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                Signing in...
+              </div>
+            ) : (
+              <div className="flex items-center justify-center">
+                <LogInIcon className="h-5 w-5 mr-2" />
+                Sign in
+              </div>
+            )}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default Login
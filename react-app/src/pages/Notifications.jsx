@@ -0,0 +1,297 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { BellIcon, MailIcon, MessageSquareIcon, RefreshCwIcon, SendIcon } from 'lucide-react'
+import { api } from '../services/api'
+import { fieldErrorsFromResponse } from '../services/validation'
+import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
+import FieldError from '../components/FieldError'
+
+const PAGE_SIZE = 20
+const MAX_MESSAGE_LENGTH = 1000
+
+// Queued notifications are checked again until the Go service reports on
+// them, for as long as a receipt can reasonably still arrive
+const POLL_INTERVAL = 3000
+const POLL_WINDOW = 10 * 60 * 1000
+
+const statusStyles = {
+  queued: 'bg-yellow-100 text-yellow-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+}
+
+const channelIcons = {
+  email: MailIcon,
+  sms: MessageSquareIcon,
+}
+
+const emptyForm = { recipient: '', message: '' }
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—')
+
+function Notifications() {
+  const [notifications, setNotifications] = useState([])
+  const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [formData, setFormData] = useState(emptyForm)
+  const [errors, setErrors] = useState({})
+  const [sending, setSending] = useState(false)
+  // Only the latest list request may replace the list
+  const latestRequest = useRef(0)
+
+  // Follow the recent queued notifications until they are sent or fail
+  useEffect(() => {
+    const pending = notifications.filter(notification => (
+      notification.status === 'queued' &&
+      Date.now() - new Date(notification.createdAt).getTime() < POLL_WINDOW
+    ))
+    if (pending.length === 0) return undefined
+
+    const timer = setTimeout(async () => {
+      try {
+        const responses = await Promise.all(pending.map(notification => api.notifications.getById(notification._id)))
+        const updated = new Map(responses.map(response => [response.data.data._id, response.data.data]))
+        setNotifications(prev => prev.map(notification => updated.get(notification._id) || notification))
+      } catch (error) {
+        console.error('Error checking notifications:', error)
+      }
+    }, POLL_INTERVAL)
+    return () => clearTimeout(timer)
+  }, [notifications])
+
+  const loadNotifications = useCallback(async () => {
+    const request = ++latestRequest.current
+    try {
+      setLoading(true)
+      const params = { limit: PAGE_SIZE }
+      if (statusFilter) params.status = statusFilter
+      const response = await api.notifications.getAll(params)
+      if (request !== latestRequest.current) return
+      setNotifications(response.data.data || [])
+      setTotal(response.data.total ?? 0)
+      setNextCursor(response.data.nextCursor || null)
+    } catch (error) {
+      if (request !== latestRequest.current) return
+      console.error('Error loading notifications:', error)
+      toast.error(errorMessage(error, 'Failed to load notifications'))
+    } finally {
+      if (request === latestRequest.current) {
+        setLoading(false)
+      }
+    }
+  }, [statusFilter])
+
+  useEffect(() => {
+    loadNotifications()
+  }, [loadNotifications])
+
+  const loadMore = async () => {
+    if (!nextCursor) return
+
+    const request = latestRequest.current
+    try {
+      setLoadingMore(true)
+      const params = { limit: PAGE_SIZE, after: nextCursor }
+      if (statusFilter) params.status = statusFilter
+      const response = await api.notifications.getAll(params)
+      if (request !== latestRequest.current) return
+      setNotifications(prev => [...prev, ...(response.data.data || [])])
+      setNextCursor(response.data.nextCursor || null)
+    } catch (error) {
+      console.error('Error loading more notifications:', error)
+      toast.error(errorMessage(error, 'Failed to load more notifications'))
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+    setErrors(prev => ({ ...prev, [name]: undefined }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const data = {
+      recipient: formData.recipient.trim(),
+      message: formData.message.trim(),
+    }
+
+    try {
+      setSending(true)
+      const response = await api.notifications.send(data)
+      const notification = response.data.data
+      toast.success('Notification queued')
+      setFormData(emptyForm)
+      if (!statusFilter || statusFilter === notification.status) {
+        setNotifications(prev => [notification, ...prev])
+        setTotal(prev => prev + 1)
+      }
+    } catch (error) {
+      console.error('Error sending notification:', error)
+      setErrors(fieldErrorsFromResponse(error))
+      toast.error(errorMessage(error, 'Failed to send notification'))
+      // A notification RabbitMQ did not take is still recorded, as failed
+      if (error.response?.status === 503) {
+        loadNotifications()
+      }
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Notifications</h1>
+        <p className="text-gray-600">Send email and SMS notifications through the Go service and track their delivery</p>
+      </div>
+
+      {/* Compose */}
+      <form onSubmit={handleSubmit} className="card space-y-4 max-w-2xl">
+        <h3 className="text-lg font-semibold text-gray-900">New Notification</h3>
+        <div>
+          <label htmlFor="recipient" className="block text-sm font-medium text-gray-700 mb-2">
+            Recipient *
+          </label>
+          <input
+            type="text"
+            id="recipient"
+            name="recipient"
+            value={formData.recipient}
+            onChange={handleInputChange}
+            className="input-field"
+            placeholder="name@example.com or +14155550123"
+          />
+          <FieldError message={errors.recipient} />
+        </div>
+        <div>
+          <label htmlFor="message" className="block text-sm font-medium text-gray-700 mb-2">
+            Message *
+          </label>
+          <textarea
+            id="message"
+            name="message"
+            rows={4}
+            value={formData.message}
+            onChange={handleInputChange}
+            className="input-field"
+          />
+          <div className="flex justify-between">
+            <FieldError message={errors.message} />
+            <p className={`mt-1 ml-auto text-xs ${formData.message.length > MAX_MESSAGE_LENGTH ? 'text-red-600' : 'text-gray-500'}`}>
+              {formData.message.length}/{MAX_MESSAGE_LENGTH}
+            </p>
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={sending}
+          className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <SendIcon className="h-5 w-5 mr-2" />
+          {sending ? 'Sending...' : 'Send Notification'}
+        </button>
+      </form>
+
+      {/* History */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Sent Notifications <span className="text-sm font-normal text-gray-500">({total})</span>
+          </h3>
+          <div className="flex items-center space-x-3">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="input-field"
+            >
+              <option value="">All statuses</option>
+              <option value="queued">Queued</option>
+              <option value="sent">Sent</option>
+              <option value="failed">Failed</option>
+            </select>
+            <button onClick={loadNotifications} className="btn-secondary" title="Refresh">
+              <RefreshCwIcon className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : notifications.length === 0 ? (
+          <div className="text-center py-12">
+            <BellIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No notifications {statusFilter ? `with status ${statusFilter}` : 'sent yet'}</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-2 pr-4 font-medium">Recipient</th>
+                  <th className="py-2 pr-4 font-medium">Message</th>
+                  <th className="py-2 pr-4 font-medium">Status</th>
+                  <th className="py-2 pr-4 font-medium">Queued</th>
+                  <th className="py-2 font-medium">Completed</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {notifications.map((notification) => {
+                  const ChannelIcon = channelIcons[notification.channel] || BellIcon
+                  return (
+                    <tr key={notification._id} className="align-top">
+                      <td className="py-3 pr-4 whitespace-nowrap">
+                        <span className="inline-flex items-center text-gray-900">
+                          <ChannelIcon className="h-4 w-4 mr-2 text-gray-400" />
+                          {notification.recipient}
+                        </span>
+                      </td>
+                      <td className="py-3 pr-4 text-gray-700 max-w-md">
+                        <p className="line-clamp-2">{notification.message}</p>
+                        {notification.error && (
+                          <p className="mt-1 text-xs text-red-600">{notification.error}</p>
+                        )}
+                      </td>
+                      <td className="py-3 pr-4">
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusStyles[notification.status] || 'bg-gray-100 text-gray-800'}`}>
+                          {notification.status}
+                        </span>
+                      </td>
+                      <td className="py-3 pr-4 whitespace-nowrap text-gray-500">{formatTime(notification.createdAt)}</td>
+                      <td className="py-3 whitespace-nowrap text-gray-500">
+                        {formatTime(notification.sentAt || notification.failedAt)}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {!loading && nextCursor && (
+          <div className="flex justify-center mt-4">
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Notifications
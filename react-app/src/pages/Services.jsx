@@ -10,6 +10,17 @@ import {
 } from 'lucide-react'
 import { api } from '../services/api'
 import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
+import HealthDetails from '../components/HealthDetails'
+
+// Checked by node-api's readiness endpoint
+const DEPENDENCIES = ['mongodb', 'kafka', 'rabbitmq']
+
+const readinessLabels = {
+  ok: 'Ready',
+  degraded: 'Ready, degraded',
+  unavailable: 'Not ready'
+}
 
 function Services() {
   const [services, setServices] = useState({
@@ -32,23 +43,39 @@ function Services() {
     setLoading(true)
     
     const newServices = { ...services }
+    const lastCheck = new Date().toLocaleTimeString()
     
-    // Check Node.js API
+    // Check Node.js API; its readiness checks report on its dependencies
     try {
       const start = Date.now()
-      await api.items.health()
+      const response = await api.health.ready()
       const responseTime = Date.now() - start
       newServices.nodeApi = { 
         status: 'online', 
-        lastCheck: new Date().toLocaleTimeString(),
-        responseTime: `${responseTime}ms`
+        lastCheck,
+        responseTime: `${responseTime}ms`,
+        readiness: response.data.status
       }
+      DEPENDENCIES.forEach((name) => {
+        const check = response.data.checks[name]
+        newServices[name] = check ? {
+          status: check.status === 'up' ? 'online' : 'offline',
+          lastCheck,
+          responseTime: `${check.latencyMs}ms`,
+          lastError: check.lastError,
+          details: check.details
+        } : { status: 'unknown', lastCheck }
+      })
     } catch (error) {
       newServices.nodeApi = { 
         status: 'offline', 
-        lastCheck: new Date().toLocaleTimeString(),
+        lastCheck,
         responseTime: null
       }
+      // Nothing else checks them
+      DEPENDENCIES.forEach((name) => {
+        newServices[name] = { status: 'unknown', lastCheck }
+      })
     }
 
     // Check Go Service
@@ -58,42 +85,17 @@ function Services() {
       const responseTime = Date.now() - start
       newServices.goService = { 
         status: 'online', 
-        lastCheck: new Date().toLocaleTimeString(),
+        lastCheck,
         responseTime: `${responseTime}ms`
       }
     } catch (error) {
       newServices.goService = { 
         status: 'offline', 
-        lastCheck: new Date().toLocaleTimeString(),
+        lastCheck,
         responseTime: null
       }
     }
 
-    // Check MongoDB (indirectly through API)
-    try {
-      await api.items.getAll()
-      newServices.mongodb = { 
-        status: 'online', 
-        lastCheck: new Date().toLocaleTimeString()
-      }
-    } catch (error) {
-      newServices.mongodb = { 
-        status: 'offline', 
-        lastCheck: new Date().toLocaleTimeString()
-      }
-    }
-
-    // Kafka and RabbitMQ status are inferred from service health
-    newServices.kafka = { 
-      status: newServices.nodeApi.status === 'online' && newServices.goService.status === 'online' ? 'online' : 'unknown',
-      lastCheck: new Date().toLocaleTimeString()
-    }
-    
-    newServices.rabbitmq = { 
-      status: newServices.nodeApi.status === 'online' && newServices.goService.status === 'online' ? 'online' : 'unknown',
-      lastCheck: new Date().toLocaleTimeString()
-    }
-
     setServices(newServices)
     setLoading(false)
   }
@@ -107,19 +109,19 @@ function Services() {
       })
       toast.success('Test event sent to Go service!')
     } catch (error) {
-      toast.error('Failed to send test event')
+      toast.error(errorMessage(error, 'Failed to send test event'))
     }
   }
 
   const sendTestNotification = async () => {
     try {
-      await api.items.notify({
+      await api.notifications.send({
         message: 'Test notification from services page',
         recipient: 'system@example.com'
       })
-      toast.success('Test notification sent!')
+      toast.success('Test notification queued')
     } catch (error) {
-      toast.error('Failed to send test notification')
+      toast.error(errorMessage(error, 'Failed to send test notification'))
     }
   }
 
@@ -163,21 +165,21 @@ function Services() {
     {
       id: 'mongodb',
       name: 'MongoDB',
-      description: 'Primary database for storing items',
+      description: 'Primary database for storing items, pinged by the Node.js API',
       icon: DatabaseIcon,
       data: services.mongodb
     },
     {
       id: 'kafka',
       name: 'Apache Kafka',
-      description: 'Event streaming platform for microservices communication',
+      description: 'Event streaming platform for microservices communication; consumer lag per topic',
       icon: MessageSquareIcon,
       data: services.kafka
     },
     {
       id: 'rabbitmq',
       name: 'RabbitMQ',
-      description: 'Message broker for queue-based communication',
+      description: 'Message broker for queue-based communication; messages waiting per queue',
       icon: MessageSquareIcon,
       data: services.rabbitmq
     }
@@ -254,8 +256,8 @@ function Services() {
           
           return (
             <div key={service.id} className="card">
-              <div className="flex items-center justify-between">
-                <div className="flex items-center space-x-4">
+              <div className="flex items-start justify-between">
+                <div className="flex items-start space-x-4">
                   <div className="p-3 rounded-lg bg-gray-100">
                     <service.icon className="h-6 w-6 text-gray-600" />
                   </div>
@@ -265,8 +267,16 @@ function Services() {
                     {service.data.lastCheck && (
                       <p className="text-sm text-gray-500">
                         Last checked: {service.data.lastCheck}
+                        {service.data.readiness && ` · ${readinessLabels[service.data.readiness] || service.data.readiness}`}
+                      </p>
+                    )}
+                    {service.data.lastError && (
+                      <p className={`text-sm ${service.data.status === 'offline' ? 'text-red-600' : 'text-gray-500'}`}>
+                        Last error: {service.data.lastError.message}
+                        {' '}({new Date(service.data.lastError.at).toLocaleString()})
                       </p>
                     )}
+                    <HealthDetails name={service.id} details={service.data.details} />
                   </div>
                 </div>
                 
@@ -1,7 +1,13 @@
 import { useState, useEffect } from 'react'
-import { BarChart3Icon, TrendingUpIcon, PackageIcon, TagIcon } from 'lucide-react'
+import { BarChart3Icon, TrendingUpIcon, TagIcon, PieChartIcon } from 'lucide-react'
 import { api } from '../services/api'
 import toast from 'react-hot-toast'
+import { errorMessage } from '../services/errors'
+import BarChart from '../components/charts/BarChart'
+import PieChart from '../components/charts/PieChart'
+import LineChart from '../components/charts/LineChart'
+import DateRangePicker from '../components/DateRangePicker'
+import { lastDays } from '../services/dates'
 
 function Stats() {
   const [stats, setStats] = useState({
@@ -9,21 +15,21 @@ function Stats() {
     goStats: null,
     loading: true
   })
+  const [period, setPeriod] = useState('perDay')
+  const [range, setRange] = useState(() => lastDays(30))
 
   useEffect(() => {
     loadStats()
-  }, [])
+  }, [range])
 
   const loadStats = async () => {
     try {
-      setStats(prev => ({ ...prev, loading: true }))
+      // Keep the charts on screen while a new date range loads
+      setStats(prev => ({ ...prev, loading: !prev.nodeStats }))
       
       // Load stats from Node.js API
-      const nodeItemsResponse = await api.items.getAll()
-      const items = nodeItemsResponse.data.data || []
-      
-      // Calculate Node.js stats
-      const nodeStats = calculateNodeStats(items)
+      const nodeStatsResponse = await api.stats.get(range)
+      const nodeStats = nodeStatsResponse.data.data
       
       // Load stats from Go service
       let goStats = null
@@ -42,49 +48,27 @@ function Stats() {
       
     } catch (error) {
       console.error('Error loading stats:', error)
-      toast.error('Failed to load statistics')
+      toast.error(errorMessage(error, 'Failed to load statistics'))
       setStats(prev => ({ ...prev, loading: false }))
     }
   }
 
-  const calculateNodeStats = (items) => {
-    const total = items.length
-    const categories = {}
-    let totalValue = 0
-    let minPrice = Infinity
-    let maxPrice = 0
-
-    items.forEach(item => {
-      // Category stats
-      const category = item.category || 'Uncategorized'
-      categories[category] = (categories[category] || 0) + 1
-      
-      // Price stats
-      const price = parseFloat(item.price) || 0
-      totalValue += price
-      minPrice = Math.min(minPrice, price)
-      maxPrice = Math.max(maxPrice, price)
-    })
+  const formatMoney = (value) => `$${(value ?? 0).toFixed(2)}`
 
-    const avgPrice = total > 0 ? totalValue / total : 0
-    const categoryStats = Object.entries(categories).map(([name, count]) => ({
-      _id: name,
-      count
-    }))
+  const formatPrice = (value) => `$${value.toLocaleString()}`
 
-    return {
-      total_items: total,
-      category_stats: categoryStats,
-      price_stats: {
-        total_value: totalValue,
-        average_price: avgPrice,
-        min_price: minPrice === Infinity ? 0 : minPrice,
-        max_price: maxPrice
-      }
-    }
-  }
+  // YYYY-MM-DD from the API as a short date, read as UTC like the API counts
+  const formatDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  })
 
   const { nodeStats, goStats, loading } = stats
+  const categoryData = (nodeStats?.categories || []).map(category => ({
+    ...category,
+    label: category.category || 'Uncategorized',
+  }))
 
   if (loading) {
     return (
@@ -117,11 +101,11 @@ function Stats() {
             <div className="space-y-4">
               <div className="grid grid-cols-2 gap-4">
                 <div className="text-center p-4 bg-gray-50 rounded-lg">
-                  <p className="text-2xl font-bold text-gray-900">{nodeStats.total_items}</p>
+                  <p className="text-2xl font-bold text-gray-900">{nodeStats.totalItems}</p>
                   <p className="text-sm text-gray-600">Total Items</p>
                 </div>
                 <div className="text-center p-4 bg-gray-50 rounded-lg">
-                  <p className="text-2xl font-bold text-gray-900">{nodeStats.category_stats.length}</p>
+                  <p className="text-2xl font-bold text-gray-900">{nodeStats.categories.length}</p>
                   <p className="text-sm text-gray-600">Categories</p>
                 </div>
               </div>
@@ -129,13 +113,13 @@ function Stats() {
               <div className="grid grid-cols-2 gap-4">
                 <div className="text-center p-4 bg-blue-50 rounded-lg">
                   <p className="text-lg font-bold text-blue-900">
-                    ${nodeStats.price_stats.total_value.toFixed(2)}
+                    {formatMoney(nodeStats.totalValue)}
                   </p>
                   <p className="text-sm text-blue-600">Total Value</p>
                 </div>
                 <div className="text-center p-4 bg-blue-50 rounded-lg">
                   <p className="text-lg font-bold text-blue-900">
-                    ${nodeStats.price_stats.average_price.toFixed(2)}
+                    {formatMoney(nodeStats.prices.average)}
                   </p>
                   <p className="text-sm text-blue-600">Avg Price</p>
                 </div>
@@ -182,43 +166,36 @@ function Stats() {
         </div>
       </div>
 
-      {/* Category Breakdown */}
-      {nodeStats && nodeStats.category_stats.length > 0 && (
-        <div className="card">
-          <div className="flex items-center justify-between mb-6">
-            <h2 className="text-xl font-semibold text-gray-900">Category Breakdown</h2>
-            <TagIcon className="h-6 w-6 text-gray-400" />
+      {/* Categories */}
+      {nodeStats && nodeStats.categories.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="card">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-semibold text-gray-900">Category Distribution</h2>
+              <TagIcon className="h-6 w-6 text-gray-400" />
+            </div>
+            <BarChart
+              data={categoryData.map(({ label, count }) => ({ label, value: count }))}
+              integer
+              formatValue={(value) => value.toLocaleString()}
+            />
           </div>
-          
-          <div className="space-y-4">
-            {nodeStats.category_stats
-              .sort((a, b) => b.count - a.count)
-              .map((category, index) => {
-                const percentage = ((category.count / nodeStats.total_items) * 100).toFixed(1)
-                return (
-                  <div key={category._id} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-                    <div className="flex items-center space-x-3">
-                      <div className={`w-3 h-3 rounded-full ${
-                        index % 5 === 0 ? 'bg-blue-500' :
-                        index % 5 === 1 ? 'bg-green-500' :
-                        index % 5 === 2 ? 'bg-yellow-500' :
-                        index % 5 === 3 ? 'bg-purple-500' : 'bg-red-500'
-                      }`}></div>
-                      <span className="font-medium text-gray-900">{category._id}</span>
-                    </div>
-                    <div className="flex items-center space-x-4">
-                      <span className="text-gray-600">{category.count} items</span>
-                      <span className="text-sm text-gray-500">{percentage}%</span>
-                    </div>
-                  </div>
-                )
-              })}
+
+          <div className="card">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-semibold text-gray-900">Category Value Share</h2>
+              <PieChartIcon className="h-6 w-6 text-gray-400" />
+            </div>
+            <PieChart
+              data={categoryData.map(({ label, totalValue }) => ({ label, value: totalValue }))}
+              formatValue={formatMoney}
+            />
           </div>
         </div>
       )}
 
       {/* Price Analysis */}
-      {nodeStats && nodeStats.total_items > 0 && (
+      {nodeStats && nodeStats.prices.count > 0 && (
         <div className="card">
           <div className="flex items-center justify-between mb-6">
             <h2 className="text-xl font-semibold text-gray-900">Price Analysis</h2>
@@ -228,32 +205,90 @@ function Stats() {
           <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
             <div className="text-center p-6 bg-green-50 rounded-lg">
               <p className="text-2xl font-bold text-green-900">
-                ${nodeStats.price_stats.total_value.toFixed(2)}
+                {formatMoney(nodeStats.totalValue)}
               </p>
               <p className="text-sm text-green-600">Total Value</p>
             </div>
             
             <div className="text-center p-6 bg-blue-50 rounded-lg">
               <p className="text-2xl font-bold text-blue-900">
-                ${nodeStats.price_stats.average_price.toFixed(2)}
+                {formatMoney(nodeStats.prices.average)}
               </p>
               <p className="text-sm text-blue-600">Average Price</p>
             </div>
             
             <div className="text-center p-6 bg-purple-50 rounded-lg">
               <p className="text-2xl font-bold text-purple-900">
-                ${nodeStats.price_stats.min_price.toFixed(2)}
+                {formatMoney(nodeStats.prices.min)}
               </p>
               <p className="text-sm text-purple-600">Minimum Price</p>
             </div>
             
             <div className="text-center p-6 bg-orange-50 rounded-lg">
               <p className="text-2xl font-bold text-orange-900">
-                ${nodeStats.price_stats.max_price.toFixed(2)}
+                {formatMoney(nodeStats.prices.max)}
               </p>
               <p className="text-sm text-orange-600">Maximum Price</p>
             </div>
           </div>
+
+          <div className="mt-6">
+            <p className="text-sm font-medium text-gray-700 mb-3">
+              Price percentiles of {nodeStats.prices.count} priced items
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              {Object.entries(nodeStats.prices.percentiles).map(([key, value]) => (
+                <div key={key} className="text-center p-4 bg-gray-50 rounded-lg">
+                  <p className="text-lg font-bold text-gray-900">{formatMoney(value)}</p>
+                  <p className="text-sm text-gray-600">{key.toUpperCase()}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="mt-6">
+            <p className="text-sm font-medium text-gray-700 mb-3">Price distribution</p>
+            <BarChart
+              data={nodeStats.prices.histogram.map(bin => ({
+                label: `${formatPrice(bin.min)}–${formatPrice(bin.max)}`,
+                value: bin.count,
+              }))}
+              gap={0.04}
+              integer
+              color="#8b5cf6"
+              formatValue={(value) => value.toLocaleString()}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Items Created */}
+      {nodeStats && (
+        <div className="card">
+          <div className="flex flex-col gap-4 mb-6 lg:flex-row lg:items-center lg:justify-between">
+            <div className="flex items-center space-x-3">
+              <h2 className="text-xl font-semibold text-gray-900">Items Created</h2>
+              {[['perDay', 'Per day'], ['perWeek', 'Per week']].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setPeriod(key)}
+                  className={`px-3 py-1 rounded-full text-sm font-medium ${
+                    period === key ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <DateRangePicker value={range} onChange={setRange} />
+          </div>
+
+          <LineChart
+            data={nodeStats[period].map(bucket => ({ label: bucket.date || bucket.week, value: bucket.count }))}
+            integer
+            formatValue={(value) => `${value} items`}
+            formatLabel={(label) => (period === 'perWeek' ? `Week of ${formatDay(label)}` : formatDay(label))}
+          />
         </div>
       )}
 
@@ -1,7 +1,9 @@
 import axios from 'axios'
+import { getSession, saveSession, clearSession } from './session'
+import { describeError, getProblem } from './errors'
 
 // Base API configuration
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
 const GO_API_BASE_URL = import.meta.env.VITE_GO_API_URL || 'http://localhost:8080'
 
 // Create axios instances
@@ -25,6 +27,10 @@ export const goAPI = axios.create({
 nodeAPI.interceptors.request.use(
   (config) => {
     console.log(`Making request to Node API: ${config.method?.toUpperCase()} ${config.url}`)
+    const session = getSession()
+    if (session?.accessToken) {
+      config.headers.Authorization = `Bearer ${session.accessToken}`
+    }
     return config
   },
   (error) => {
@@ -42,11 +48,53 @@ goAPI.interceptors.request.use(
   }
 )
 
+// Token refresh shared by every request that hits an expired access token
+let refreshPromise = null
+
+export const refreshTokens = () => {
+  if (!refreshPromise) {
+    const session = getSession()
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken: session?.refreshToken })
+      .then((response) => {
+        saveSession(response.data.data)
+        return response.data.data.accessToken
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
 // Response interceptors
 nodeAPI.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const { config, response } = error
+    const isAuthRequest = config?.url?.startsWith('/api/auth/')
+
+    if (response?.status === 401 && config && !config._retried && !isAuthRequest && getSession()) {
+      try {
+        const accessToken = await refreshTokens()
+        config._retried = true
+        config.headers.Authorization = `Bearer ${accessToken}`
+        return nodeAPI(config)
+      } catch (refreshError) {
+        clearSession()
+        window.location.assign('/login')
+        return Promise.reject(error)
+      }
+    }
+
+    // Downloads ask for a Blob, which is also what their errors arrive as
+    if (response?.data instanceof Blob && response.data.type.includes('json')) {
+      response.data = JSON.parse(await response.data.text())
+    }
+
     console.error('Node API Error:', error.response?.data || error.message)
+    error.problem = getProblem(error)
+    error.userMessage = describeError(error)
     return Promise.reject(error)
   }
 )
@@ -55,37 +103,144 @@ goAPI.interceptors.response.use(
   (response) => response,
   (error) => {
     console.error('Go API Error:', error.response?.data || error.message)
+    error.userMessage = describeError(error)
     return Promise.reject(error)
   }
 )
 
+// Conditional request headers for an item version; the item's ETag is its
+// version in quotes
+const ifMatch = (version) => (version ? { headers: { 'If-Match': `"${version}"` } } : {})
+
+// Authentication
+export const authAPI = {
+  // Log in and get tokens
+  login: (credentials) => nodeAPI.post('/api/auth/login', credentials),
+  
+  // Revoke refresh tokens
+  logout: () => nodeAPI.post('/api/auth/logout'),
+  
+  // Current user
+  me: () => nodeAPI.get('/api/auth/me'),
+}
+
 // API functions for Node.js service
 export const itemsAPI = {
-  // Get all items
-  getAll: () => nodeAPI.get('/api/items'),
+  // Get a page of items
+  // params: limit, after (cursor), sort, order, category, minPrice, maxPrice, createdFrom, createdTo
+  getAll: (params = {}) => nodeAPI.get('/api/items', { params }),
   
   // Get item by ID
   getById: (id) => nodeAPI.get(`/api/items/${id}`),
   
+  // Get the events published for an item and their processing receipts
+  getDeliveries: (id) => nodeAPI.get(`/api/items/${id}/deliveries`),
+  
+  // Get the recorded changes of an item, newest first
+  getHistory: (id) => nodeAPI.get(`/api/items/${id}/history`),
+  
+  // Restore the fields an item had at a past revision
+  revert: (id, revision, version) => nodeAPI.post(`/api/items/${id}/revert/${revision}`, null, ifMatch(version)),
+  
   // Create new item
   create: (data) => nodeAPI.post('/api/items', data),
   
-  // Update item
-  update: (id, data) => nodeAPI.put(`/api/items/${id}`, data),
+  // Update item; with a version the server answers 412 if it changed since
+  update: (id, data, version) => nodeAPI.put(`/api/items/${id}`, data, ifMatch(version)),
+  
+  // Change some fields with a JSON Merge Patch; null clears a field
+  patch: (id, changes, version) => nodeAPI.patch(`/api/items/${id}`, changes, {
+    headers: {
+      'Content-Type': 'application/merge-patch+json',
+      ...ifMatch(version).headers,
+    },
+  }),
+  
+  // Move item to the trash; with a version the server answers 412 if it changed since
+  delete: (id, version) => nodeAPI.delete(`/api/items/${id}`, ifMatch(version)),
+  
+  // Import items from a CSV, JSON array or NDJSON file
+  // params: format (csv, json, ndjson), dryRun
+  import: (file, params = {}) => nodeAPI.post('/api/items/import', file, {
+    params,
+    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+    timeout: 300000,
+  }),
   
-  // Delete item
-  delete: (id) => nodeAPI.delete(`/api/items/${id}`),
+  // Download the items matching the list filters as a file
+  // params: format (csv, ndjson, json), columns, excel, q and the getAll filters
+  export: (params = {}) => nodeAPI.get('/api/items/export', {
+    params,
+    responseType: 'blob',
+    timeout: 300000,
+  }),
   
-  // Search items
-  search: (query) => nodeAPI.get(`/api/items/search/${query}`),
+  // Get the items in the trash
+  getTrash: (params = {}) => nodeAPI.get('/api/items/trash', { params }),
   
-  // Send notification
-  notify: (data) => nodeAPI.post('/api/notify', data),
+  // Take an item out of the trash
+  restore: (id) => nodeAPI.post(`/api/items/${id}/restore`),
+  
+  // Full-text search, most relevant first, with highlighted matches
+  // params: q (words, "phrases", -excluded), limit, after (cursor) and the getAll filters
+  search: (params = {}) => nodeAPI.get('/api/items/search', { params }),
   
   // Health check
   health: () => nodeAPI.get('/health'),
 }
 
+// Item statistics computed by the API
+export const statsAPI = {
+  // params: days, weeks (length of the created-items series)
+  get: (params = {}) => nodeAPI.get('/api/stats', { params }),
+}
+
+// Notifications sent through the Go service, admins only
+export const notificationsAPI = {
+  // Queue a notification to an email address or international phone number
+  send: (data) => nodeAPI.post('/api/notify', data),
+  
+  // Newest first; params: status (queued, sent, failed), recipient, limit, after (cursor)
+  getAll: (params = {}) => nodeAPI.get('/api/notifications', { params }),
+  
+  // Get notification by ID
+  getById: (id) => nodeAPI.get(`/api/notifications/${id}`),
+}
+
+export const deadLettersAPI = {
+  // Newest first, without bodies; params: source, queue, status (pending, replayed), limit, after (cursor)
+  getAll: (params = {}) => nodeAPI.get('/api/dead-letters', { params }),
+  
+  // Pending and replayed counts per queue
+  getSummary: () => nodeAPI.get('/api/dead-letters/summary'),
+  
+  // Get dead letter with its body and headers
+  getById: (id) => nodeAPI.get(`/api/dead-letters/${id}`),
+  
+  // Replace the body of a pending dead letter
+  update: (id, body) => nodeAPI.put(`/api/dead-letters/${id}`, { body }),
+  
+  // Send it back to its queue or topic
+  replay: (id) => nodeAPI.post(`/api/dead-letters/${id}/replay`),
+  
+  // Purge one dead letter
+  delete: (id) => nodeAPI.delete(`/api/dead-letters/${id}`),
+  
+  // Purge every dead letter matching params: source, queue, status
+  purge: (params = {}) => nodeAPI.delete('/api/dead-letters', { params }),
+}
+
+// Liveness and readiness of node-api
+export const healthAPI = {
+  live: () => nodeAPI.get('/health/live'),
+  
+  // Checks of MongoDB, Kafka and RabbitMQ; the 503 sent while node-api is
+  // not ready has the same body
+  ready: () => nodeAPI.get('/health/ready', {
+    validateStatus: (status) => status === 200 || status === 503,
+  }),
+}
+
 // API functions for Go service
 export const goServiceAPI = {
   // Get all items from Go service
@@ -106,7 +261,12 @@ export const goServiceAPI = {
 
 // Combined API for easier use
 export const api = {
+  auth: authAPI,
   items: itemsAPI,
+  stats: statsAPI,
+  notifications: notificationsAPI,
+  deadLetters: deadLettersAPI,
+  health: healthAPI,
   go: goServiceAPI,
 }
 
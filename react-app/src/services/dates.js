@@ -0,0 +1,10 @@
+const DAY = 24 * 60 * 60 * 1000
+
+// YYYY-MM-DD of a date in UTC, the form date filters are sent in
+export const toDateString = (date) => date.toISOString().slice(0, 10)
+
+// The last `days` days up to today as { from, to } date strings
+export const lastDays = (days) => {
+  const today = new Date()
+  return { from: toDateString(new Date(today.getTime() - (days - 1) * DAY)), to: toDateString(today) }
+}
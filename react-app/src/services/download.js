@@ -0,0 +1,16 @@
+// Save data as a file through a temporary link
+export const saveFile = (data, fileName, type) => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// File name from a Content-Disposition header, or fallback
+export const fileNameFrom = (headers, fallback) => {
+  const match = /filename="?([^";]+)"?/.exec(headers?.['content-disposition'] || '')
+  return match ? match[1] : fallback
+}
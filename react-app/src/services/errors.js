@@ -0,0 +1,61 @@
+// node-api answers errors with application/problem+json bodies carrying a
+// stable `code`; these are the messages shown to users for each code
+const MESSAGES = {
+  validation_failed: 'Please check the highlighted fields',
+  invalid_id: 'That link points to an invalid ID',
+  malformed_json: 'The request could not be read',
+  unauthorized: 'Please log in to continue',
+  invalid_token: 'Your session is no longer valid, please log in again',
+  token_expired: 'Your session has expired, please log in again',
+  token_revoked: 'Your session has ended, please log in again',
+  invalid_credentials: 'Invalid email or password',
+  forbidden: "You don't have permission to do that",
+  insufficient_role: "You don't have permission to do that",
+  item_not_found: 'This item no longer exists',
+  user_not_found: 'This user no longer exists',
+  route_not_found: 'This feature is not available on the server',
+  email_taken: 'That email is already registered',
+  duplicate_key: 'That value is already in use',
+  conflict: 'Someone else changed this first, reload and try again',
+  precondition_failed: 'Someone else changed this item in the meantime',
+  invalid_precondition: 'The request could not be matched to an item version',
+  revision_not_found: 'That revision no longer exists',
+  invalid_revision: 'That revision cannot be restored',
+  item_not_deleted: 'This item is not in the trash',
+  unsupported_media_type: 'Upload a .csv, .json or .ndjson file',
+  invalid_recipient: 'Enter an email address or a phone number like +14155550123',
+  notification_not_found: 'This notification no longer exists',
+  dead_letter_not_found: 'This dead letter was already purged',
+  dead_letter_replayed: 'This message was already replayed and can no longer be edited',
+  invalid_dead_letter_body: 'The message body must be valid JSON',
+  upstream_unavailable: 'A backing service is unavailable, please try again shortly',
+}
+
+// Problem details from a failed request, or null when there is no response
+// body in that format
+export const getProblem = (error) => {
+  const data = error?.response?.data
+  return data && typeof data === 'object' && data.code ? data : null
+}
+
+// Human message for a failed request. Codes without a message of their own
+// fall back to the server's detail for client errors.
+export const describeError = (error) => {
+  if (!error?.response) {
+    return error?.code === 'ECONNABORTED'
+      ? 'The server took too long to respond'
+      : 'Cannot reach the server, check your connection'
+  }
+
+  const problem = getProblem(error)
+  if (!problem) {
+    return null
+  }
+  if (MESSAGES[problem.code]) {
+    return MESSAGES[problem.code]
+  }
+  return problem.status < 500 ? problem.detail : null
+}
+
+// Message for a toast: the one derived from the error code, else fallback
+export const errorMessage = (error, fallback) => error?.userMessage || fallback
@@ -0,0 +1,143 @@
+import { useEffect, useRef, useState } from 'react'
+import { API_BASE_URL, refreshTokens } from './api'
+import { getSession } from './session'
+
+// Item changes pushed by the Node API as Server-Sent Events. The stream is
+// read with fetch rather than EventSource so it can send the access token;
+// one connection is shared by every page listening and it resumes from the
+// last event it saw after a reconnect.
+const STREAM_URL = `${API_BASE_URL}/api/events/stream`
+const MAX_RETRY_DELAY = 30000
+
+const listeners = new Set()
+let controller = null
+let connected = false
+let lastEventId = null
+// The server suggests this with a retry: line; it doubles while reconnecting fails
+let retryDelay = 3000
+
+const setConnected = (value) => {
+  connected = value
+  listeners.forEach(listener => listener.onStatus(value))
+}
+
+const dispatch = (type, data) => {
+  listeners.forEach(listener => listener.onEvent(type, data))
+}
+
+const wait = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms)
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer)
+    resolve()
+  }, { once: true })
+})
+
+// Reads the stream until it ends, passing on each complete event
+async function readEvents(body) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+  let event = { type: 'message', id: null, data: [] }
+
+  const handleLine = (line) => {
+    if (line === '') {
+      if (event.data.length > 0) {
+        if (event.id !== null) lastEventId = event.id
+        // The server could not resume from lastEventId, so start afresh
+        if (event.type === 'reset') lastEventId = null
+        dispatch(event.type, JSON.parse(event.data.join('\n')))
+      }
+      event = { type: 'message', id: null, data: [] }
+      return
+    }
+    if (line.startsWith(':')) return
+
+    const separator = line.indexOf(':')
+    const field = separator === -1 ? line : line.slice(0, separator)
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '')
+    if (field === 'event') event.type = value
+    else if (field === 'data') event.data.push(value)
+    else if (field === 'id') event.id = value
+    else if (field === 'retry' && /^\d+$/.test(value)) retryDelay = Number(value)
+  }
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) return
+    buffer += value
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    lines.forEach(line => handleLine(line.replace(/\r$/, '')))
+  }
+}
+
+async function connect(signal) {
+  let attempt = 0
+  let refreshed = false
+
+  while (!signal.aborted && getSession()) {
+    try {
+      const headers = { Authorization: `Bearer ${getSession().accessToken}` }
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId
+      const response = await fetch(STREAM_URL, { headers, signal })
+
+      // An expired access token is refreshed once, then the stream is retried
+      if (response.status === 401 && !refreshed) {
+        refreshed = true
+        await refreshTokens()
+        continue
+      }
+      if (!response.ok) {
+        throw new Error(`Event stream answered ${response.status}`)
+      }
+
+      attempt = 0
+      refreshed = false
+      setConnected(true)
+      await readEvents(response.body)
+    } catch (error) {
+      if (signal.aborted) return
+      console.log('Live updates disconnected:', error.message)
+    }
+
+    setConnected(false)
+    await wait(Math.min(retryDelay * 2 ** attempt, MAX_RETRY_DELAY), signal)
+    attempt++
+  }
+}
+
+function subscribe(listener) {
+  listeners.add(listener)
+  if (!controller) {
+    controller = new AbortController()
+    connect(controller.signal)
+  }
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) {
+      controller.abort()
+      controller = null
+      connected = false
+    }
+  }
+}
+
+// Calls onEvent(type, data) for every live item event: item_created,
+// item_updated, item_deleted, item_restored, and reset when events were
+// missed. Returns whether the stream is connected.
+export function useItemEvents(onEvent) {
+  const handler = useRef(onEvent)
+  const [isConnected, setIsConnected] = useState(connected)
+
+  useEffect(() => {
+    handler.current = onEvent
+  })
+
+  useEffect(() => subscribe({
+    onEvent: (type, data) => handler.current(type, data),
+    onStatus: setIsConnected,
+  }), [])
+
+  return isConnected
+}
@@ -0,0 +1,28 @@
+// Signed-in user and tokens, kept in localStorage so they survive reloads
+const SESSION_KEY = 'session'
+
+const ROLES = ['viewer', 'editor', 'admin']
+
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY))
+  } catch (error) {
+    return null
+  }
+}
+
+export const saveSession = ({ user, accessToken, refreshToken }) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ user, accessToken, refreshToken }))
+}
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY)
+}
+
+export const getCurrentUser = () => getSession()?.user || null
+
+// Roles include the ones below them: admin > editor > viewer
+export const hasRole = (role) => {
+  const user = getCurrentUser()
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role)
+}
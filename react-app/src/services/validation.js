@@ -0,0 +1,11 @@
+// Field errors from a 400 response of node-api, whose problem+json lists them
+// in errors[] with the message to show
+export const fieldErrorsFromResponse = (error) => {
+  const errors = error.response?.data?.errors || []
+  return errors.reduce((fields, { field, message }) => {
+    if (field && !fields[field]) {
+      fields[field] = message
+    }
+    return fields
+  }, {})
+}